@@ -0,0 +1,85 @@
+// Bangs - "!g query" shortcuts that send a search to another engine
+//
+// Built-in bangs come from SettingsManager.getAvailableSearchEngines().
+// Custom bangs are added in settings with %s where the query goes, e.g.
+//   !w  https://en.wikipedia.org/wiki/Special:Search?search=%s
+// The bang can go anywhere in the query: "!w rust", "rust !w".
+
+class Bangs {
+    constructor(controller) {
+        this.controller = controller;
+    }
+
+    /**
+     * Engines a query can be sent to, leaving out our own workers
+     */
+    static getEngines() {
+        return SettingsManager.getAvailableSearchEngines().filter(engine => engine.id !== 'worker');
+    }
+
+    /**
+     * Bang shortcut -> { name, url }. Custom bangs win over built-in ones.
+     */
+    getAll() {
+        const bangs = new Map();
+
+        Bangs.getEngines().forEach(engine => {
+            engine.bangs.forEach(bang => bangs.set(bang, { name: engine.name, url: engine.url }));
+        });
+        (this.controller.config.customBangs || []).forEach(custom => {
+            bangs.set(custom.bang, { name: `!${custom.bang}`, url: custom.url });
+        });
+
+        return bangs;
+    }
+
+    /**
+     * The bang in a query, with the query it should send, or null
+     */
+    match(query) {
+        const bangs = this.getAll();
+        const words = query.trim().split(/\s+/);
+        const index = words.findIndex(word => word[0] === '!' && bangs.has(word.slice(1).toLowerCase()));
+        if (index === -1) return null;
+
+        const bang = words[index].slice(1).toLowerCase();
+        words.splice(index, 1);
+
+        return { bang, ...bangs.get(bang), query: words.join(' ') };
+    }
+
+    /**
+     * Fill in a %s template. Without a query the engine's home page is used.
+     */
+    static buildURL(template, query) {
+        if (!query) {
+            return new URL(template.replace(/%s/g, '')).origin;
+        }
+        return template.replace(/%s/g, encodeURIComponent(query));
+    }
+
+    /**
+     * Whether a custom bang's template is usable; returns an error message or ''
+     */
+    static validate(bang, url) {
+        if (!/^[a-z0-9]{1,20}$/.test(bang)) {
+            return 'Bangs are letters and numbers only, e.g. w for !w';
+        }
+        return Bangs.validateTemplate(url);
+    }
+
+    /**
+     * Whether a %s URL template is usable, for bangs and engine APIs;
+     * returns an error message or ''
+     */
+    static validateTemplate(url) {
+        const filled = url.replace(/%s/g, 'test').replace(/%p/g, '1');
+        if (!/^https?:\/\//.test(url) || !url.includes('%s') || !Utils.validateURL(filled)) {
+            return 'The URL needs to start with http(s):// and contain %s where the query goes';
+        }
+        return '';
+    }
+}
+
+// Export for global use
+window.Bangs = Bangs;
@@ -0,0 +1,177 @@
+// Result Cache - IndexedDB store for normalized search responses
+
+class ResultCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'yoohoo-search-cache';
+        this.storeName = 'responses';
+        this.maxEntries = options.maxEntries || 200;
+        // How long past its TTL an entry may still be served while it revalidates
+        this.maxStale = options.maxStale || 24 * 60 * 60 * 1000;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Build the cache key for a search
+     */
+    static buildKey({ query, category, page, safeSearch, language, filters = '' }) {
+        return [
+            ResultCache.normalizeQuery(query),
+            category,
+            page,
+            safeSearch,
+            language,
+            filters
+        ].join('|');
+    }
+
+    /**
+     * Normalize a query so trivially different spellings share an entry
+     */
+    static normalizeQuery(query) {
+        return String(query || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Open the database once; resolves to null when IndexedDB is unavailable
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                store.createIndex('accessedAt', 'accessedAt');
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let another tab upgrade or delete the database
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                console.warn('Result cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a callback inside a transaction and resolve with its result
+     */
+    async transaction(mode, callback) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            let result = null;
+            let tx;
+            try {
+                tx = db.transaction(this.storeName, mode);
+                callback(tx.objectStore(this.storeName), (value) => { result = value; });
+            } catch (e) {
+                console.warn('Result cache transaction failed:', e);
+                resolve(null);
+                return;
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = tx.onabort = () => {
+                console.warn('Result cache transaction failed:', tx.error);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Look up a cached response.
+     * Resolves to { response, storedAt, stale } or null on a miss.
+     */
+    get(key, ttl) {
+        return this.transaction('readwrite', (store, done) => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                const entry = request.result;
+                if (!entry) return;
+
+                const age = Date.now() - entry.storedAt;
+                if (age > ttl + this.maxStale) {
+                    store.delete(key);
+                    return;
+                }
+
+                entry.accessedAt = Date.now();
+                store.put(entry);
+
+                done({
+                    response: entry.response,
+                    storedAt: entry.storedAt,
+                    stale: age > ttl
+                });
+            };
+        });
+    }
+
+    /**
+     * Store a response and trim the cache
+     */
+    async set(key, response, ttl) {
+        const now = Date.now();
+        await this.transaction('readwrite', (store) => {
+            store.put({ key, response, storedAt: now, accessedAt: now });
+        });
+        await this.evict(ttl);
+    }
+
+    /**
+     * Drop expired entries, then the least recently used ones above maxEntries
+     */
+    evict(ttl = 0) {
+        return this.transaction('readwrite', (store) => {
+            const countRequest = store.count();
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - this.maxEntries;
+                const cutoff = Date.now() - ttl - this.maxStale;
+
+                // Oldest access first
+                store.index('accessedAt').openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+
+                    if (excess > 0 || cursor.value.storedAt < cutoff) {
+                        cursor.delete();
+                        excess--;
+                    }
+                    cursor.continue();
+                };
+            };
+        });
+    }
+
+    /**
+     * Remove every cached response
+     */
+    clear() {
+        return this.transaction('readwrite', (store) => {
+            store.clear();
+        });
+    }
+}
+
+// Export for global use
+window.ResultCache = ResultCache;
@@ -0,0 +1,206 @@
+// Deep Search - long-running /massive searches across many sources
+//
+// Progress is kept in sessionStorage while results stream in, so a reload
+// shows what was already found and only asks the sources that hadn't
+// finished yet (sent to the worker as "skip").
+
+class DeepSearch {
+    constructor(controller) {
+        this.controller = controller;
+        this.storageKey = 'deepSearchProgress';
+        this.maxAge = 30 * 60 * 1000;
+        this.saved = null;
+    }
+
+    /**
+     * Saved progress for a search, or null if there is none or it's too old
+     */
+    load(query, page) {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(this.storageKey));
+            if (!saved || saved.key !== `${query}|${page}`) return null;
+            if (Date.now() - saved.savedAt > this.maxAge) return null;
+            return saved;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    save(response) {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify({
+                key: `${this.controller.currentQuery}|${this.controller.currentPage}`,
+                results: response.results,
+                sources: response.streaming.sources,
+                savedAt: Date.now()
+            }));
+        } catch (e) {
+            console.warn('Failed to save deep search progress:', e);
+        }
+    }
+
+    clear() {
+        this.saved = null;
+        sessionStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Sources a resumed search doesn't need to ask again
+     */
+    getAnsweredSources(query, page) {
+        const saved = this.load(query, page);
+        return saved ? saved.sources.filter(source => source.status === 'done').map(source => source.name) : [];
+    }
+
+    /**
+     * Show the progress panel straight away, with saved results when
+     * resuming after a reload
+     */
+    start(query, page) {
+        this.saved = this.load(query, page);
+
+        this.render(this.merge({
+            results: [],
+            streaming: { done: false, providers: [], sources: [] }
+        }));
+    }
+
+    /**
+     * Combine saved progress with what the worker has sent since
+     */
+    merge(response) {
+        const saved = this.saved || { results: [], sources: [] };
+        const streaming = response.streaming || { done: true, providers: [], sources: [] };
+
+        // Sources answering after a reload often find the same pages again
+        const results = ResultNormalizer.mergeDuplicates([...saved.results, ...response.results]);
+
+        const sources = new Map(saved.sources.map(source => [source.name, source.status]));
+        streaming.sources.forEach(source => sources.set(source.name, source.status));
+
+        return {
+            ...response,
+            results,
+            sections: { ...response.sections, web: results },
+            stats: { ...response.stats, total: Math.max(response.stats ? response.stats.total : 0, results.length) },
+            streaming: {
+                ...streaming,
+                sources: [...sources.entries()].map(([name, status]) => ({ name, status })),
+                resumed: Boolean(this.saved)
+            }
+        };
+    }
+
+    /**
+     * Render a streamed snapshot and remember it in case the tab reloads
+     */
+    update(snapshot) {
+        const response = this.merge(snapshot);
+        this.save(response);
+        this.render(response);
+    }
+
+    /**
+     * The finished response, including results from before a reload
+     */
+    complete(response) {
+        const merged = this.merge(response);
+        delete merged.streaming;
+        this.clear();
+        return merged;
+    }
+
+    render(response) {
+        const container = this.controller.elements.resultsContainer;
+        const streaming = response.streaming;
+        const rankingRules = this.controller.rankingRules;
+        const { visible, hidden } = rankingRules.apply(response.results);
+        const groups = new Map();
+        // Per source, including results the ranking rules hide
+        const found = new Map();
+
+        response.results.forEach(result => {
+            const source = result.source.split(', ')[0] || 'Other';
+            found.set(source, (found.get(source) || 0) + 1);
+        });
+        visible.forEach(result => {
+            const source = result.source.split(', ')[0] || 'Other';
+            if (!groups.has(source)) groups.set(source, []);
+            groups.get(source).push(result);
+        });
+
+        // Finished searches only know their sources from the results
+        const sources = streaming
+            ? streaming.sources
+            : [...found.keys()].map(name => ({ name, status: 'done' }));
+        const answered = sources.filter(source => source.status === 'done' || source.status === 'failed').length;
+        const total = sources.length;
+
+        container.innerHTML = `
+            <div class="deep-search-status">
+                <div class="deep-search-header">
+                    <i class="fas ${streaming ? 'fa-spinner fa-spin' : 'fa-check-circle'}"></i>
+                    <strong>Deep search</strong>
+                    <span>
+                        ${total > 0 ? `${answered} of ${total} sources answered` : 'Contacting sources…'}
+                        ${streaming && streaming.resumed ? ' · resumed after reload' : ''}
+                    </span>
+                </div>
+                <div class="deep-search-sources">
+                    ${sources.map(source => `
+                        <span class="deep-source ${source.status}">
+                            <i class="fas ${this.getStatusIcon(source.status)}"></i>
+                            ${Utils.sanitizeHTML(source.name)}
+                            <strong>${found.get(source.name) || 0}</strong>
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+
+        const progress = window.ui.createProgressBar('deepSearchProgress', {
+            showLabel: total > 0,
+            indeterminate: streaming && total === 0
+        });
+        container.querySelector('.deep-search-header').after(progress);
+        if (total > 0) {
+            window.ui.updateProgressBar('deepSearchProgress', streaming ? answered : total, total);
+        }
+
+        if (!streaming && response.results.length === 0) {
+            container.insertAdjacentHTML('beforeend', '<div class="empty-state">No results found</div>');
+            return;
+        }
+
+        let index = 0;
+        groups.forEach((results, source) => {
+            const group = document.createElement('div');
+            group.className = 'provider-group';
+            group.innerHTML = `<h4 class="provider-group-title">${Utils.sanitizeHTML(source)} <span>${results.length}</span></h4>`;
+
+            results.forEach(result => {
+                group.appendChild(this.controller.createResultElement(result, index++));
+            });
+            container.appendChild(group);
+        });
+
+        if (hidden.length > 0) {
+            container.appendChild(rankingRules.createHiddenNote(
+                hidden, (result, i) => this.controller.createResultElement(result, i), visible.length
+            ));
+        }
+    }
+
+    getStatusIcon(status) {
+        const icons = {
+            pending: 'fa-clock',
+            receiving: 'fa-spinner fa-spin',
+            done: 'fa-check',
+            failed: 'fa-times'
+        };
+        return icons[status] || 'fa-clock';
+    }
+}
+
+// Export for global use
+window.DeepSearch = DeepSearch;
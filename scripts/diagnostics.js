@@ -0,0 +1,236 @@
+// Worker Diagnostics Module
+
+class WorkerDiagnostics {
+    constructor(controller) {
+        this.controller = controller;
+        this.modalId = 'worker-diagnostics';
+        this.refreshInterval = null;
+        this.probing = new Set();
+    }
+
+    /**
+     * Open the diagnostics view and keep it live while it is visible
+     */
+    open() {
+        const modal = window.ui.createModal(this.modalId, `
+            <div class="modal-content diagnostics-content">
+                <div class="diagnostics-header">
+                    <h3><i class="fas fa-stethoscope"></i> Worker Diagnostics</h3>
+                    <div class="diagnostics-actions">
+                        <button class="btn-secondary" data-action="probe-all">
+                            <i class="fas fa-heartbeat"></i> Probe all
+                        </button>
+                        <button class="btn-secondary" data-action="export">
+                            <i class="fas fa-download"></i> Export JSON
+                        </button>
+                        <button class="btn-primary" data-action="close">Close</button>
+                    </div>
+                </div>
+                <div class="diagnostics-body"></div>
+            </div>
+        `);
+
+        modal.classList.add('diagnostics-modal');
+        modal.addEventListener('click', (e) => this.handleAction(e));
+
+        window.ui.showModal(this.modalId, { autoFocus: false });
+        this.render();
+
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = setInterval(() => {
+            // The modal can also be closed by Escape or the overlay
+            if (!modal.isConnected || !modal.classList.contains('active')) {
+                this.close();
+                return;
+            }
+            this.render();
+        }, 2000);
+    }
+
+    /**
+     * Close the diagnostics view
+     */
+    close() {
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = null;
+        window.ui.closeModal(this.modalId);
+
+        const modal = document.getElementById(this.modalId);
+        if (modal) modal.remove();
+    }
+
+    /**
+     * Handle clicks on the diagnostics actions
+     */
+    handleAction(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        switch (target.dataset.action) {
+            case 'probe':
+                this.probe(decodeURI(target.dataset.worker));
+                break;
+            case 'probe-all':
+                this.controller.workers.pool
+                    .filter(worker => worker.enabled)
+                    .forEach(worker => this.probe(worker.url));
+                break;
+            case 'export':
+                this.export();
+                break;
+            case 'close':
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Probe a worker now and refresh its card when done
+     */
+    async probe(workerUrl) {
+        if (!workerUrl || this.probing.has(workerUrl)) return;
+
+        this.probing.add(workerUrl);
+        this.render();
+
+        const result = await this.controller.probeWorker(workerUrl);
+        this.probing.delete(workerUrl);
+        this.render();
+
+        if (window.ui) {
+            const label = this.controller.getWorkerLabel(workerUrl);
+            window.ui.showToast(
+                result.success
+                    ? `${label} answered in ${Math.round(result.responseTime)} ms`
+                    : `${label} failed: ${result.error}`,
+                result.success ? 'success' : 'error'
+            );
+        }
+    }
+
+    /**
+     * Collect the current state of every worker in the pool
+     */
+    collect() {
+        const routed = this.controller.getRoutedWorkers();
+
+        return this.controller.workers.pool.map(worker => {
+            const health = this.controller.getWorkerHealth(worker.url);
+
+            return {
+                url: worker.url,
+                label: worker.label,
+                enabled: worker.enabled,
+                routeOrder: routed.indexOf(worker.url),
+                circuit: worker.enabled ? this.controller.getCircuitState(worker.url) : 'disabled',
+                openedAt: health.openedAt || null,
+                responseTime: Math.round(health.responseTime),
+                successCount: health.successCount,
+                errorCount: health.errorCount,
+                lastCheck: health.lastCheck || null,
+                lastError: health.lastError,
+                latencyHistory: health.latencyHistory || []
+            };
+        });
+    }
+
+    /**
+     * Download the diagnostics data for bug reports
+     */
+    export() {
+        const { circuitFailureThreshold, circuitResetTimeout, requestTimeout, maxRetries,
+            useWorkerFallback, hedgeRequests } = this.controller.config;
+
+        Utils.exportAsJSON({
+            timestamp: Utils.getTimestamp(),
+            userAgent: navigator.userAgent,
+            online: navigator.onLine,
+            config: {
+                circuitFailureThreshold,
+                circuitResetTimeout,
+                requestTimeout,
+                maxRetries,
+                useWorkerFallback,
+                hedgeRequests
+            },
+            workers: this.collect()
+        }, `worker-diagnostics-${Date.now()}.json`);
+    }
+
+    /**
+     * Render all worker cards
+     */
+    render() {
+        const body = document.querySelector(`#${this.modalId} .diagnostics-body`);
+        if (!body) return;
+
+        const workers = this.collect();
+
+        if (workers.length === 0) {
+            body.innerHTML = '<div class="empty-state">No workers configured</div>';
+            return;
+        }
+
+        body.innerHTML = workers.map(worker => this.renderWorker(worker)).join('');
+    }
+
+    /**
+     * Render a single worker card
+     */
+    renderWorker(worker) {
+        const probing = this.probing.has(worker.url);
+        const lastCheck = worker.lastCheck ? Utils.formatRelativeTime(worker.lastCheck) : 'Never';
+
+        return `
+            <div class="diagnostics-worker circuit-${worker.circuit}">
+                <div class="diagnostics-worker-header">
+                    <span class="circuit-badge">${worker.circuit}</span>
+                    <strong>${Utils.sanitizeHTML(worker.label || Utils.extractDomain(worker.url))}</strong>
+                    <span class="diagnostics-url">${Utils.sanitizeHTML(worker.url)}</span>
+                    <button class="btn-secondary" data-action="probe" data-worker="${encodeURI(worker.url)}" ${probing ? 'disabled' : ''}>
+                        <i class="fas ${probing ? 'fa-spinner fa-spin' : 'fa-heartbeat'}"></i> ${probing ? 'Probing…' : 'Probe now'}
+                    </button>
+                </div>
+                <div class="diagnostics-stats">
+                    <span>Route: ${worker.routeOrder >= 0 ? `#${worker.routeOrder + 1}` : '—'}</span>
+                    <span>Latency: ${worker.responseTime ? `${worker.responseTime} ms` : '—'}</span>
+                    <span>Successes: ${worker.successCount}</span>
+                    <span>Errors: ${worker.errorCount}</span>
+                    <span>Last check: ${lastCheck}</span>
+                </div>
+                ${this.renderLatencyHistory(worker.latencyHistory)}
+                ${worker.lastError ? `
+                    <div class="diagnostics-error">
+                        <i class="fas fa-exclamation-circle"></i>
+                        ${Utils.sanitizeHTML(worker.lastError.message)}
+                        <span>${Utils.formatRelativeTime(worker.lastError.time)}</span>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the recent latency history as a small bar chart
+     */
+    renderLatencyHistory(history) {
+        if (history.length === 0) {
+            return '<div class="latency-history empty">No requests yet</div>';
+        }
+
+        const max = Math.max(...history.map(entry => entry.duration), 1);
+
+        return `
+            <div class="latency-history">
+                ${history.map(entry => `
+                    <span class="latency-bar ${entry.success ? '' : 'failed'}"
+                          style="height: ${entry.success ? Math.max(8, (entry.duration / max) * 100) : 100}%"
+                          title="${entry.success ? `${entry.duration} ms` : 'Failed'} · ${Utils.formatTimestamp(entry.time, 'time')}"></span>
+                `).join('')}
+            </div>
+        `;
+    }
+}
+
+// Export for global use
+window.WorkerDiagnostics = WorkerDiagnostics;
@@ -0,0 +1,334 @@
+// Result Filters - time, site and file type filters from the results Filter menu
+
+class ResultFilters {
+    constructor(controller) {
+        this.controller = controller;
+        this.filters = ResultFilters.getEmptyFilters();
+
+        this.dropdown = document.getElementById('filterDropdown');
+        this.menu = this.dropdown ? this.dropdown.querySelector('.filter-menu') : null;
+        this.chips = document.getElementById('activeFilters');
+        this.optionsHTML = this.menu ? this.menu.innerHTML : '';
+
+        if (this.dropdown && this.menu) {
+            this.bindEvents();
+        }
+    }
+
+    static getEmptyFilters() {
+        return { time: '', from: '', to: '', site: '', filetype: '' };
+    }
+
+    static getTimeRanges() {
+        return [
+            { value: 'hour', label: 'Past hour' },
+            { value: 'day', label: 'Past 24 hours' },
+            { value: 'week', label: 'Past week' },
+            { value: 'month', label: 'Past month' },
+            { value: 'year', label: 'Past year' }
+        ];
+    }
+
+    static getFileTypes() {
+        return ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'csv', 'rtf'];
+    }
+
+    bindEvents() {
+        this.dropdown.querySelector('.filter-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggle(!this.dropdown.classList.contains('open'));
+        });
+
+        this.menu.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handleMenuClick(e);
+        });
+
+        this.menu.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit(e.target);
+        });
+
+        if (this.chips) {
+            this.chips.addEventListener('click', (e) => {
+                const remove = e.target.closest('[data-remove]');
+                if (!remove) return;
+
+                const key = remove.dataset.remove;
+                this.apply(key === 'time' ? { time: '', from: '', to: '' } : { [key]: '' });
+            });
+        }
+
+        document.addEventListener('click', () => this.toggle(false));
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.toggle(false);
+        });
+    }
+
+    toggle(open) {
+        if (!open && !this.dropdown.classList.contains('open')) return;
+
+        this.dropdown.classList.toggle('open', open);
+        if (!open) {
+            this.menu.innerHTML = this.optionsHTML;
+        }
+    }
+
+    handleMenuClick(e) {
+        const option = e.target.closest('[data-filter]');
+        if (option) {
+            switch (option.dataset.filter) {
+                case 'all':
+                    this.apply(ResultFilters.getEmptyFilters());
+                    break;
+                case 'recent':
+                    this.showTimePanel();
+                    break;
+                case 'site':
+                    this.showSitePanel();
+                    break;
+                case 'type':
+                    this.showTypePanel();
+                    break;
+            }
+            return;
+        }
+
+        const choice = e.target.closest('[data-set]');
+        if (choice) {
+            const key = choice.dataset.set;
+            const value = choice.dataset.value;
+            this.apply(key === 'time' ? { time: value, from: '', to: '' } : { [key]: value });
+            return;
+        }
+
+        if (e.target.closest('[data-action="back"]')) {
+            this.menu.innerHTML = this.optionsHTML;
+        }
+    }
+
+    handleSubmit(form) {
+        if (form.dataset.panel === 'custom-time') {
+            const from = form.elements.from.value;
+            const to = form.elements.to.value;
+            const hint = form.querySelector('.filter-hint');
+
+            if (!from && !to) {
+                hint.textContent = 'Pick a start or end date.';
+                return;
+            }
+            if (from && to && from > to) {
+                hint.textContent = 'The start date must be before the end date.';
+                return;
+            }
+            this.apply({ time: 'custom', from, to });
+        } else if (form.dataset.panel === 'site') {
+            const site = this.normalizeSite(form.elements.site.value);
+            if (site) this.apply({ site });
+        }
+    }
+
+    /**
+     * Accept "example.com" as well as pasted URLs
+     */
+    normalizeSite(value) {
+        const site = value.trim().toLowerCase();
+        if (!site) return '';
+
+        try {
+            return new URL(/^https?:\/\//.test(site) ? site : `https://${site}`).hostname.replace(/^www\./, '');
+        } catch (e) {
+            return '';
+        }
+    }
+
+    renderPanel(title, content) {
+        // Keep the menu open while the panel is in use, not just on hover
+        this.dropdown.classList.add('open');
+        this.menu.innerHTML = `
+            <div class="filter-panel">
+                <div class="filter-panel-header">
+                    <button type="button" class="filter-back" data-action="back" title="Back">
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <strong>${title}</strong>
+                </div>
+                ${content}
+            </div>
+        `;
+    }
+
+    showTimePanel() {
+        const { time, from, to } = this.filters;
+
+        this.renderPanel('Time range', `
+            ${ResultFilters.getTimeRanges().map(range => `
+                <button type="button" class="filter-option ${time === range.value ? 'active' : ''}" data-set="time" data-value="${range.value}">
+                    ${range.label}
+                </button>
+            `).join('')}
+            <form class="filter-custom-range" data-panel="custom-time">
+                <label>From <input type="date" name="from" value="${from}"></label>
+                <label>To <input type="date" name="to" value="${to}"></label>
+                <div class="filter-hint"></div>
+                <button type="submit" class="btn-secondary">Apply custom range</button>
+            </form>
+        `);
+    }
+
+    showSitePanel() {
+        const domains = this.getResultDomains();
+
+        this.renderPanel('Site', `
+            <form data-panel="site">
+                <input type="text" name="site" placeholder="example.com" value="${Utils.sanitizeHTML(this.filters.site)}" aria-label="Site">
+            </form>
+            ${domains.length > 0 ? '<div class="filter-panel-label">On this page</div>' : ''}
+            ${domains.map(({ domain, count }) => `
+                <button type="button" class="filter-option ${this.filters.site === domain ? 'active' : ''}" data-set="site" data-value="${Utils.sanitizeHTML(domain)}">
+                    ${Utils.sanitizeHTML(domain)} <span class="filter-count">${count}</span>
+                </button>
+            `).join('')}
+        `);
+
+        this.menu.querySelector('input[name="site"]').focus();
+    }
+
+    showTypePanel() {
+        this.renderPanel('File type', `
+            <div class="filter-type-grid">
+                ${ResultFilters.getFileTypes().map(type => `
+                    <button type="button" class="filter-option ${this.filters.filetype === type ? 'active' : ''}" data-set="filetype" data-value="${type}">
+                        .${type}
+                    </button>
+                `).join('')}
+            </div>
+        `);
+    }
+
+    /**
+     * Domains of the results on screen, most frequent first
+     */
+    getResultDomains() {
+        const response = this.controller.currentResponse;
+        if (!response) return [];
+
+        const counts = new Map();
+        response.results.forEach(result => {
+            const domain = result.domain || Utils.extractDomain(result.url);
+            if (domain) counts.set(domain, (counts.get(domain) || 0) + 1);
+        });
+
+        return [...counts.entries()]
+            .map(([domain, count]) => ({ domain, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 12);
+    }
+
+    /**
+     * Change filters and search again from the first page
+     */
+    apply(changes) {
+        Object.assign(this.filters, changes);
+        this.toggle(false);
+        this.renderChips();
+
+        if (this.controller.currentQuery) {
+            this.controller.performSearch(this.controller.currentQuery);
+        }
+    }
+
+    hasFilters() {
+        return Object.values(this.filters).some(Boolean);
+    }
+
+    appendParams(params) {
+        Object.entries(this.filters).forEach(([key, value]) => {
+            if (value) params.append(key, value);
+        });
+    }
+
+    writeToURL(url) {
+        Object.entries(this.filters).forEach(([key, value]) => {
+            if (value) {
+                url.searchParams.set(key, value);
+            } else {
+                url.searchParams.delete(key);
+            }
+        });
+    }
+
+    readFromURL(searchParams) {
+        this.setState(Object.fromEntries(
+            Object.keys(this.filters).map(key => [key, searchParams.get(key) || ''])
+        ));
+    }
+
+    getState() {
+        return { ...this.filters };
+    }
+
+    setState(state) {
+        const filters = ResultFilters.getEmptyFilters();
+        if (Utils.isObject(state)) {
+            Object.keys(filters).forEach(key => {
+                if (typeof state[key] === 'string') filters[key] = state[key];
+            });
+        }
+
+        // Values come from the URL, so only keep what the menu could have produced
+        ['from', 'to'].forEach(key => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) filters[key] = '';
+        });
+        const validTime = filters.time === 'custom'
+            ? Boolean(filters.from || filters.to)
+            : ResultFilters.getTimeRanges().some(range => range.value === filters.time);
+        if (!validTime) {
+            Object.assign(filters, { time: '', from: '', to: '' });
+        }
+        filters.site = this.normalizeSite(filters.site);
+        if (!ResultFilters.getFileTypes().includes(filters.filetype)) filters.filetype = '';
+
+        this.filters = filters;
+        this.renderChips();
+    }
+
+    getTimeLabel() {
+        const { time, from, to } = this.filters;
+        if (time !== 'custom') {
+            const range = ResultFilters.getTimeRanges().find(range => range.value === time);
+            return range ? range.label : time;
+        }
+
+        const format = (date) => new Date(`${date}T00:00:00`).toLocaleDateString();
+        if (from && to) return `${format(from)} – ${format(to)}`;
+        return from ? `After ${format(from)}` : `Before ${format(to)}`;
+    }
+
+    renderChips() {
+        if (!this.chips) return;
+
+        const chips = [];
+        if (this.filters.time) chips.push({ key: 'time', icon: 'fa-clock', label: this.getTimeLabel() });
+        if (this.filters.site) chips.push({ key: 'site', icon: 'fa-globe', label: `site:${this.filters.site}` });
+        if (this.filters.filetype) chips.push({ key: 'filetype', icon: 'fa-file', label: `.${this.filters.filetype}` });
+
+        this.chips.innerHTML = chips.map(chip => `
+            <span class="filter-chip">
+                <i class="fas ${chip.icon}"></i>
+                ${Utils.sanitizeHTML(chip.label)}
+                <button type="button" data-remove="${chip.key}" title="Remove filter" aria-label="Remove ${Utils.sanitizeHTML(chip.label)} filter">
+                    <i class="fas fa-times"></i>
+                </button>
+            </span>
+        `).join('');
+        this.chips.classList.toggle('hidden', chips.length === 0);
+
+        if (this.dropdown) {
+            this.dropdown.querySelector('.filter-btn').classList.toggle('active', chips.length > 0);
+        }
+    }
+}
+
+// Export for global use
+window.ResultFilters = ResultFilters;
@@ -0,0 +1,606 @@
+// Response Normalization - canonical result model for worker payloads
+
+/**
+ * @typedef {Object} WebResult
+ * @property {string} url - Absolute link to the page
+ * @property {string} title
+ * @property {string} snippet - Plain description text, may be empty
+ * @property {string} displayUrl - Short URL shown above the title
+ * @property {string} domain - Hostname without "www."
+ * @property {string} source - Provider that returned the result, may be empty
+ * @property {number|null} score - Relevance 0-100 when the worker scores results
+ * @property {string} aiSummary - Per-result AI summary, may be empty
+ * @property {string|null} publishedAt - ISO date when known
+ * @property {string[]} sourceUrls - Every URL the result came back under; more than one once duplicates are merged
+ */
+
+/**
+ * @typedef {Object} ImageResult
+ * @property {string} url - Page the image was found on
+ * @property {string} imageUrl - Full-size image
+ * @property {string} thumbnail - Thumbnail to render, falls back to imageUrl
+ * @property {string} title
+ * @property {string} provider
+ * @property {number|null} width
+ * @property {number|null} height
+ */
+
+/**
+ * @typedef {Object} VideoResult
+ * @property {string} url
+ * @property {string} title
+ * @property {string} thumbnail
+ * @property {number|null} duration - Seconds
+ * @property {string} durationText - Pre-formatted by the worker, may be empty
+ * @property {number|null} views
+ * @property {string} viewsText - Pre-formatted by the worker, may be empty
+ * @property {string|null} publishedAt - ISO date when known
+ * @property {string} publishedText - Pre-formatted by the worker, may be empty
+ * @property {string} author
+ * @property {string} description
+ * @property {string} provider - Comma-separated when duplicates from several providers are merged
+ * @property {string[]} sourceUrls
+ */
+
+/**
+ * @typedef {Object} NewsArticle
+ * @property {string} url
+ * @property {string} title
+ * @property {string} description
+ * @property {string} source - Publisher, falls back to the domain
+ * @property {string} image - May be empty
+ * @property {string|null} publishedAt - ISO date when known
+ * @property {string} publishedText - Pre-formatted by the worker, may be empty
+ * @property {string} author
+ * @property {string} aiSummary
+ * @property {string[]} sourceUrls
+ */
+
+/**
+ * @typedef {Object} GithubResult
+ * @property {string} type - "repository" or "code"
+ * @property {string} url - Repository or file page on GitHub
+ * @property {string} title - owner/name for repositories, the file name for code
+ * @property {string} repository - owner/name the result belongs to
+ * @property {string} description
+ * @property {number|null} stars
+ * @property {string} language
+ * @property {string|null} updatedAt - ISO date of the last push or update
+ * @property {number|null} openIssues
+ * @property {string} license - SPDX id or name, may be empty
+ * @property {string} path - File path for code results
+ * @property {Array<{fragment: string, matches: Array<[number, number]>}>} fragments - Code snippets with match offsets
+ */
+
+/**
+ * @typedef {Object} AISummary
+ * @property {string} section - Result section the summary covers (web, news, ...)
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} OfflineInfo
+ * @property {number|null} cachedAt - When the saved response was stored (ms)
+ * @property {string} query - Query the saved response was for
+ * @property {boolean} fuzzy - True when the saved query only resembles the one searched
+ */
+
+/**
+ * @typedef {Object} PageInfo
+ * @property {number|null} page - Page the worker answered for
+ * @property {number|null} totalPages - Known page count, null if the worker doesn't say
+ * @property {boolean|null} hasMore - Whether a next page exists, null if unknown
+ */
+
+/**
+ * @typedef {Object} WeatherConditions
+ * @property {string} time - ISO time the values are for
+ * @property {number|null} temperature - °C
+ * @property {number|null} feelsLike - °C
+ * @property {number|null} high - Daily high in °C, daily forecasts only
+ * @property {number|null} low - Daily low in °C, daily forecasts only
+ * @property {string} condition - e.g. "Light rain"
+ * @property {number|null} humidity - Percent
+ * @property {number|null} windSpeed - km/h
+ * @property {number|null} precipitationChance - Percent
+ * @property {boolean} isDay
+ */
+
+/**
+ * @typedef {Object} WeatherReport
+ * @property {{name: string, region: string, country: string}} location
+ * @property {WeatherConditions} current
+ * @property {WeatherConditions[]} hourly
+ * @property {WeatherConditions[]} daily
+ */
+
+/**
+ * @typedef {Object} SpellingCorrection
+ * @property {string} query - Corrected query
+ * @property {string} original - Query as typed, may be empty
+ * @property {boolean} applied - True when the results are for the corrected query
+ */
+
+/**
+ * @typedef {Object} NormalizedResponse
+ * @property {string} category - web, images, videos, news, all, weather or github
+ * @property {Array<WebResult|ImageResult|VideoResult|NewsArticle|GithubResult>} results - Main result list
+ * @property {{web: WebResult[], images: ImageResult[], videos: VideoResult[], news: NewsArticle[]}} sections
+ * @property {AISummary[]} aiSummaries
+ * @property {{total: number, aiEnabled: boolean}} stats
+ * @property {PageInfo} pagination
+ * @property {string} timestamp
+ * @property {string|null} error - Error reported by the worker itself
+ * @property {OfflineInfo|null} offline - Set when the service worker answered from saved results
+ * @property {WeatherReport|null} weather - Forecast for /weather responses
+ * @property {string[]} related - Related queries suggested by the worker
+ * @property {SpellingCorrection|null} correction - "Did you mean" suggestion
+ */
+
+class ResponseNormalizationError extends Error {
+    constructor(endpoint, reason, path = '') {
+        super(`Invalid response from ${endpoint}: ${reason}${path ? ` (at ${path})` : ''}`);
+        this.name = 'ResponseNormalizationError';
+        this.endpoint = endpoint;
+        this.reason = reason;
+        this.path = path;
+    }
+}
+
+class ResultNormalizer {
+    /**
+     * Map worker endpoints to the category their payload is normalized as
+     */
+    static getEndpointCategory(endpoint) {
+        const categories = {
+            '/search': 'web',
+            '/images': 'images',
+            '/videos': 'videos',
+            '/news': 'news',
+            '/all': 'all',
+            '/massive': 'web',
+            '/weather': 'weather',
+            '/github': 'github',
+            '/suggest': 'suggest'
+        };
+        return categories[endpoint] || 'web';
+    }
+
+    /**
+     * Normalize a worker payload for an endpoint.
+     * Throws ResponseNormalizationError when the payload can't be used.
+     * @returns {NormalizedResponse}
+     */
+    static normalize(endpoint, payload) {
+        if (payload === null || payload === undefined || (typeof payload !== 'object')) {
+            throw new ResponseNormalizationError(endpoint, 'expected a JSON object or array');
+        }
+
+        if (!Array.isArray(payload) && Object.keys(payload).length === 0) {
+            throw new ResponseNormalizationError(endpoint, 'empty response');
+        }
+
+        const category = this.getEndpointCategory(endpoint);
+
+        if (category === 'suggest') {
+            return this.normalizeSuggestions(endpoint, payload);
+        }
+
+        const response = {
+            category,
+            results: [],
+            sections: { web: [], images: [], videos: [], news: [] },
+            aiSummaries: [],
+            stats: { total: 0, aiEnabled: false },
+            pagination: this.normalizePageInfo(payload),
+            timestamp: typeof payload.timestamp === 'string' ? payload.timestamp : new Date().toISOString(),
+            error: typeof payload.error === 'string' ? payload.error : null,
+            offline: this.normalizeOfflineInfo(payload.offline),
+            weather: null,
+            related: [],
+            correction: null
+        };
+
+        // A worker-reported error carries no results to validate
+        if (response.error) {
+            return response;
+        }
+
+        if (category === 'weather') {
+            response.weather = this.normalizeWeather(endpoint, Utils.isObject(payload.weather) ? payload.weather : payload);
+            return response;
+        }
+
+        if (category === 'all') {
+            const sections = Array.isArray(payload) ? null : payload.results;
+            if (!Utils.isObject(sections)) {
+                throw new ResponseNormalizationError(endpoint, 'expected "results" to be an object of sections', 'results');
+            }
+
+            ['web', 'images', 'videos', 'news'].forEach(section => {
+                if (sections[section] !== undefined) {
+                    response.sections[section] = this.normalizeList(endpoint, section, sections[section], `results.${section}`);
+                }
+            });
+            response.results = response.sections.web;
+        } else {
+            const list = Array.isArray(payload) ? payload : payload.results;
+            response.results = this.normalizeList(endpoint, category, list, 'results');
+            response.sections[category] = response.results;
+        }
+
+        response.aiSummaries = this.normalizeAISummaries(payload.aiSummaries);
+        response.related = this.normalizeRelated(payload.related || payload.relatedSearches);
+        response.correction = this.normalizeCorrection(payload.correction || payload.didYouMean || payload.spelling);
+
+        const stats = Utils.isObject(payload.stats) ? payload.stats : {};
+        const count = Object.values(response.sections).reduce((sum, items) => sum + items.length, 0);
+        response.stats = {
+            total: this.toNumber(stats.total) || count,
+            aiEnabled: Boolean(stats.aiEnabled)
+        };
+
+        return response;
+    }
+
+    /**
+     * Normalize a list of items, dropping entries that can't be rendered.
+     * The whole list is rejected if it isn't an array or every entry is unusable.
+     */
+    static normalizeList(endpoint, category, list, path) {
+        if (!Array.isArray(list)) {
+            throw new ResponseNormalizationError(endpoint, `expected "${path}" to be an array`, path);
+        }
+
+        const normalizers = {
+            web: item => this.normalizeWebResult(item),
+            images: item => this.normalizeImageResult(item),
+            videos: item => this.normalizeVideoResult(item),
+            news: item => this.normalizeNewsArticle(item),
+            github: item => this.normalizeGithubResult(item)
+        };
+        const normalizeItem = normalizers[category] || normalizers.web;
+
+        const items = [];
+        let rejected = 0;
+
+        list.forEach(item => {
+            const normalized = Utils.isObject(item) ? normalizeItem(item) : null;
+            if (normalized) {
+                items.push(normalized);
+            } else {
+                rejected++;
+            }
+        });
+
+        if (rejected > 0) {
+            console.warn(`Dropped ${rejected} malformed ${category} item(s) from ${endpoint}`);
+        }
+
+        if (list.length > 0 && items.length === 0) {
+            throw new ResponseNormalizationError(endpoint, `none of the ${list.length} items had a usable URL`, path);
+        }
+
+        const providerKeys = { web: 'source', videos: 'provider', news: null };
+        return category in providerKeys ? this.mergeDuplicates(items, providerKeys[category]) : items;
+    }
+
+    /**
+     * Merge results that point at the same page (see Utils.canonicalizeUrl).
+     * The first one is kept; it gains the other providers and URLs, the best
+     * score and any text it was missing.
+     */
+    static mergeDuplicates(items, providerKey = 'source') {
+        const merge = (kept, duplicate) => {
+            if (providerKey) {
+                const providers = [kept, duplicate]
+                    .flatMap(item => item[providerKey].split(', '))
+                    .filter(Boolean);
+                kept[providerKey] = [...new Set(providers)].join(', ');
+            }
+
+            kept.sourceUrls = [...new Set([...kept.sourceUrls, ...(duplicate.sourceUrls || [duplicate.url])])];
+
+            if (typeof duplicate.score === 'number' && !(kept.score >= duplicate.score)) {
+                kept.score = duplicate.score;
+            }
+            ['snippet', 'description', 'aiSummary', 'publishedAt', 'image', 'thumbnail'].forEach(field => {
+                if (field in kept && !kept[field] && duplicate[field]) kept[field] = duplicate[field];
+            });
+        };
+
+        const copies = items.map(item => ({ ...item, sourceUrls: item.sourceUrls || [item.url] }));
+        return Utils.removeDuplicates(copies, item => Utils.canonicalizeUrl(item.url), merge);
+    }
+
+    /**
+     * @returns {WebResult|null}
+     */
+    static normalizeWebResult(item) {
+        const url = this.toUrl(item.url || item.link);
+        if (!url) return null;
+
+        const score = this.toNumber(item.score);
+
+        return {
+            url,
+            title: this.toText(item.title) || url,
+            snippet: this.toText(item.snippet || item.description || item.content),
+            displayUrl: this.toText(item.displayUrl),
+            domain: Utils.extractDomain(url),
+            source: this.toText(item.source || item.provider || item.engine),
+            score: score === null ? null : Math.max(0, Math.min(100, score)),
+            aiSummary: this.toText(item.aiSummary),
+            publishedAt: this.toDate(item.publishedAt || item.date)
+        };
+    }
+
+    /**
+     * @returns {ImageResult|null}
+     */
+    static normalizeImageResult(item) {
+        const imageUrl = this.toUrl(item.image || item.imageUrl || item.thumbnail);
+        if (!imageUrl) return null;
+
+        return {
+            url: this.toUrl(item.source || item.url || item.pageUrl) || imageUrl,
+            imageUrl,
+            thumbnail: this.toUrl(item.thumbnail) || imageUrl,
+            title: this.toText(item.title) || 'Image',
+            provider: this.toText(item.provider),
+            width: this.toNumber(item.width),
+            height: this.toNumber(item.height)
+        };
+    }
+
+    /**
+     * @returns {VideoResult|null}
+     */
+    static normalizeVideoResult(item) {
+        const url = this.toUrl(item.url || item.link);
+        if (!url) return null;
+
+        return {
+            url,
+            title: this.toText(item.title) || 'No title',
+            thumbnail: this.toUrl(item.thumbnail || item.image) || '',
+            duration: this.toNumber(item.duration),
+            durationText: this.toText(item.durationFormatted),
+            views: this.toNumber(item.views),
+            viewsText: this.toText(item.viewsFormatted),
+            publishedAt: this.toDate(item.publishedAt),
+            publishedText: this.toText(item.publishedFormatted),
+            author: this.toText(item.author || item.channel),
+            description: this.toText(item.description),
+            provider: this.toText(item.provider || item.source)
+        };
+    }
+
+    /**
+     * @returns {NewsArticle|null}
+     */
+    static normalizeNewsArticle(item) {
+        const url = this.toUrl(item.url || item.link);
+        if (!url) return null;
+
+        return {
+            url,
+            title: this.toText(item.title) || 'No title',
+            description: this.toText(item.description || item.snippet),
+            source: this.toText(item.source) || Utils.extractDomain(url),
+            image: this.toUrl(item.image || item.thumbnail) || '',
+            publishedAt: this.toDate(item.publishedAt || item.date),
+            publishedText: this.toText(item.publishedFormatted),
+            author: this.toText(item.author),
+            aiSummary: this.toText(item.aiSummary)
+        };
+    }
+
+    /**
+     * Forecasts are stored in metric units; workers may answer in either
+     * @returns {WeatherReport}
+     */
+    static normalizeWeather(endpoint, weather) {
+        if (!Utils.isObject(weather.current)) {
+            throw new ResponseNormalizationError(endpoint, 'expected "current" conditions', 'current');
+        }
+
+        const imperial = /^(imperial|us|f|fahrenheit)$/i.test(this.toText(weather.units));
+        const location = Utils.isObject(weather.location) ? weather.location : { name: weather.location };
+        const list = (items) => Array.isArray(items)
+            ? items.filter(Utils.isObject).map(item => this.normalizeConditions(item, imperial))
+            : [];
+
+        return {
+            location: {
+                name: this.toText(location.name),
+                region: this.toText(location.region || location.state),
+                country: this.toText(location.country)
+            },
+            current: this.normalizeConditions(weather.current, imperial),
+            hourly: list(weather.hourly),
+            daily: list(weather.daily)
+        };
+    }
+
+    /**
+     * @returns {WeatherConditions}
+     */
+    static normalizeConditions(item, imperial) {
+        const temperature = (value) => {
+            const number = this.toNumber(value);
+            if (number === null) return null;
+            return imperial ? (number - 32) * 5 / 9 : number;
+        };
+        const wind = this.toNumber(item.windSpeed !== undefined ? item.windSpeed : item.wind);
+        const isDay = item.isDay !== undefined ? item.isDay : item.is_day;
+
+        return {
+            // Date-only values are local days; midday keeps them on the same weekday everywhere
+            time: this.toDate(/^\d{4}-\d{2}-\d{2}$/.test(item.date || '') ? `${item.date}T12:00:00` : item.time || item.date) || '',
+            temperature: temperature(item.temperature !== undefined ? item.temperature : item.temp),
+            feelsLike: temperature(item.feelsLike),
+            high: temperature(item.high !== undefined ? item.high : item.max),
+            low: temperature(item.low !== undefined ? item.low : item.min),
+            condition: this.toText(item.condition || item.summary || item.description),
+            humidity: this.toNumber(item.humidity),
+            windSpeed: wind === null ? null : imperial ? wind * 1.609344 : wind,
+            precipitationChance: this.toNumber(item.precipitationChance !== undefined ? item.precipitationChance : item.pop),
+            isDay: isDay === undefined ? true : Boolean(isDay)
+        };
+    }
+
+    /**
+     * Accepts the worker's own shape as well as raw GitHub search API items
+     * @returns {GithubResult|null}
+     */
+    static normalizeGithubResult(item) {
+        const url = this.toUrl(item.html_url || item.url);
+        if (!url) return null;
+
+        const repo = Utils.isObject(item.repository) ? item.repository : {};
+        const license = Utils.isObject(item.license) ? item.license.spdx_id || item.license.name : item.license;
+        const path = this.toText(item.path);
+        const isCode = item.type === 'code' || (Boolean(path) && item.type !== 'repository');
+
+        const textMatches = Array.isArray(item.text_matches) ? item.text_matches
+            : typeof item.snippet === 'string' ? [{ fragment: item.snippet, matches: item.matches }]
+            : [];
+        const fragments = textMatches
+            .filter(match => Utils.isObject(match) && typeof match.fragment === 'string')
+            .map(match => ({
+                fragment: match.fragment,
+                matches: (Array.isArray(match.matches) ? match.matches : [])
+                    .map(found => Utils.isObject(found) ? found.indices : found)
+                    .filter(indices => Array.isArray(indices) && indices.length === 2 && indices.every(Number.isInteger))
+            }));
+
+        const repository = this.toText(item.full_name || repo.full_name || (typeof item.repository === 'string' ? item.repository : ''));
+
+        return {
+            type: isCode ? 'code' : 'repository',
+            url,
+            title: this.toText(isCode ? item.name || path.split('/').pop() : item.full_name || item.title || item.name) || url,
+            repository,
+            description: this.toText(item.description || repo.description),
+            stars: this.toNumber(item.stargazers_count !== undefined ? item.stargazers_count : item.stars),
+            language: this.toText(item.language),
+            updatedAt: this.toDate(item.pushed_at || item.updated_at || item.updatedAt),
+            openIssues: this.toNumber(item.open_issues_count !== undefined ? item.open_issues_count : item.openIssues),
+            license: this.toText(license === 'NOASSERTION' ? '' : license),
+            path,
+            fragments
+        };
+    }
+
+    /**
+     * Summaries arrive as { section: text }; "overall" duplicates the others
+     * @returns {AISummary[]}
+     */
+    static normalizeAISummaries(summaries) {
+        if (!Utils.isObject(summaries)) return [];
+
+        return Object.entries(summaries)
+            .filter(([section, text]) => section !== 'overall' && typeof text === 'string' && text.trim())
+            .map(([section, text]) => ({ section, text: text.trim() }));
+    }
+
+    /**
+     * Related queries arrive as strings or { query } objects
+     * @returns {string[]}
+     */
+    static normalizeRelated(related) {
+        if (!Array.isArray(related)) return [];
+
+        const queries = related
+            .map(item => this.toText(Utils.isObject(item) ? item.query || item.text || item.title : item))
+            .filter(Boolean);
+        return [...new Set(queries)].slice(0, 10);
+    }
+
+    /**
+     * A correction is either the suggested query or an object describing it
+     * @returns {SpellingCorrection|null}
+     */
+    static normalizeCorrection(correction) {
+        const details = Utils.isObject(correction) ? correction : { query: correction };
+        const query = this.toText(details.query || details.corrected || details.suggestion);
+        if (!query) return null;
+
+        return {
+            query,
+            original: this.toText(details.original),
+            applied: details.applied === true || details.autoCorrected === true
+        };
+    }
+
+    /**
+     * Workers report paging either as a "pagination" object or top-level fields
+     * @returns {PageInfo}
+     */
+    static normalizePageInfo(payload) {
+        const info = Utils.isObject(payload.pagination) ? payload.pagination : payload;
+        const hasMore = info.hasMore !== undefined ? info.hasMore : info.hasNext;
+
+        return {
+            page: this.toNumber(info.page),
+            totalPages: this.toNumber(info.totalPages),
+            hasMore: typeof hasMore === 'boolean' ? hasMore : null
+        };
+    }
+
+    /**
+     * Metadata the service worker adds to saved responses served offline
+     * @returns {OfflineInfo|null}
+     */
+    static normalizeOfflineInfo(offline) {
+        if (!Utils.isObject(offline)) return null;
+
+        return {
+            cachedAt: this.toNumber(offline.cachedAt),
+            query: this.toText(offline.query),
+            fuzzy: offline.fuzzy === true
+        };
+    }
+
+    static normalizeSuggestions(endpoint, payload) {
+        const suggestions = Array.isArray(payload) ? payload : payload.suggestions;
+        if (!Array.isArray(suggestions)) {
+            throw new ResponseNormalizationError(endpoint, 'expected "suggestions" to be an array', 'suggestions');
+        }
+
+        return {
+            category: 'suggest',
+            suggestions: suggestions.filter(suggestion => typeof suggestion === 'string' && suggestion.trim())
+        };
+    }
+
+    // Field coercion helpers
+
+    static toText(value) {
+        if (typeof value === 'string') return value.trim();
+        if (typeof value === 'number') return String(value);
+        return '';
+    }
+
+    static toNumber(value) {
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        return typeof number === 'number' && isFinite(number) ? number : null;
+    }
+
+    static toUrl(value) {
+        if (typeof value !== 'string' || !value.trim()) return '';
+        const url = value.trim();
+        return /^https?:\/\//i.test(url) && Utils.validateURL(url) ? url : '';
+    }
+
+    static toDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+}
+
+// Export for global use
+window.ResultNormalizer = ResultNormalizer;
+window.ResponseNormalizationError = ResponseNormalizationError;
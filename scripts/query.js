@@ -0,0 +1,254 @@
+// Query Parser - search operators in the query text
+//
+//   site:example.com    only results from a site (-site: leaves it out)
+//   filetype:pdf        only links to a file type (ext: works too)
+//   "exact phrase"      words in this order
+//   -term, -"phrase"    leave out results mentioning it
+//   before:2024-12-31   published before a date (YYYY-MM-DD or YYYY)
+//   after:2024-01-01    published after a date
+
+/**
+ * @typedef {Object} QueryToken
+ * @property {string} type - term, phrase, exclude, site, excludeSite, filetype, before or after
+ * @property {string} value - Value without the operator, e.g. "example.com"
+ * @property {string} raw - Text as typed
+ * @property {number} start - Offset of raw in the query
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {string} text - Words and phrases to send as q
+ * @property {string[]} terms
+ * @property {string[]} phrases
+ * @property {string[]} exclude - Words and phrases results must not mention
+ * @property {string[]} sites
+ * @property {string[]} excludeSites
+ * @property {string[]} filetypes
+ * @property {string} before - YYYY-MM-DD or empty
+ * @property {string} after - YYYY-MM-DD or empty
+ * @property {QueryToken[]} tokens
+ * @property {Array<{message: string, start: number, end: number}>} errors
+ */
+
+class QueryParser {
+    /**
+     * @returns {ParsedQuery}
+     */
+    static parse(input) {
+        const query = String(input || '');
+        const parsed = {
+            text: '',
+            terms: [],
+            phrases: [],
+            exclude: [],
+            sites: [],
+            excludeSites: [],
+            filetypes: [],
+            before: '',
+            after: '',
+            tokens: [],
+            errors: []
+        };
+
+        const error = (message, start, end) => parsed.errors.push({ message, start, end });
+        let i = 0;
+
+        while (i < query.length) {
+            if (/\s/.test(query[i])) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            const negated = query[i] === '-' && query[i + 1] === '"';
+
+            if (query[i] === '"' || negated) {
+                const open = negated ? i + 1 : i;
+                const close = query.indexOf('"', open + 1);
+                const end = close === -1 ? query.length : close + 1;
+                const value = query.slice(open + 1, close === -1 ? query.length : close).trim();
+
+                if (close === -1) {
+                    error('Missing closing quote', start, end);
+                } else if (!value) {
+                    error('Empty quotes', start, end);
+                }
+                if (value) {
+                    parsed.tokens.push({ type: negated ? 'exclude' : 'phrase', value, raw: query.slice(start, end), start, end });
+                }
+                i = end;
+                continue;
+            }
+
+            while (i < query.length && !/\s/.test(query[i])) i++;
+            this.parseWord(query.slice(start, i), start, parsed, error);
+        }
+
+        parsed.tokens.forEach(token => {
+            const lists = {
+                term: parsed.terms,
+                phrase: parsed.phrases,
+                exclude: parsed.exclude,
+                site: parsed.sites,
+                excludeSite: parsed.excludeSites,
+                filetype: parsed.filetypes
+            };
+            if (lists[token.type]) {
+                lists[token.type].push(token.value);
+            } else {
+                parsed[token.type] = token.value;
+            }
+        });
+
+        if (parsed.before && parsed.after && parsed.after > parsed.before) {
+            error('after: is later than before:, so nothing can match', 0, query.length);
+        }
+
+        parsed.text = [...parsed.terms, ...parsed.phrases.map(phrase => `"${phrase}"`)].join(' ');
+        // "site:example.com" alone is a fine search; "-spam" alone isn't
+        const browsable = parsed.sites.length > 0 || parsed.filetypes.length > 0;
+        if (!parsed.text && !browsable && parsed.tokens.length > 0 && parsed.errors.length === 0) {
+            error('Add some search words as well as operators', 0, query.length);
+        }
+
+        return parsed;
+    }
+
+    static parseWord(word, start, parsed, error) {
+        const end = start + word.length;
+        const token = (type, value) => parsed.tokens.push({ type, value, raw: word, start, end });
+        const operator = word.match(/^(-?)(site|filetype|ext|before|after):(.*)$/i);
+
+        if (!operator) {
+            if (word.length > 1 && word[0] === '-') {
+                token('exclude', word.slice(1));
+            } else {
+                token('term', word);
+            }
+            return;
+        }
+
+        const [, minus, name, value] = operator;
+        const key = name.toLowerCase() === 'ext' ? 'filetype' : name.toLowerCase();
+
+        if (!value) {
+            const examples = { site: 'site:example.com', filetype: 'filetype:pdf', before: 'before:2024-12-31', after: 'after:2024-01-01' };
+            error(`${key}: needs a value, e.g. ${examples[key]}`, start, end);
+            return;
+        }
+
+        if (key === 'site') {
+            const site = this.parseSite(value);
+            if (!site) {
+                error(`"${value}" isn't a site name`, start, end);
+            } else {
+                token(minus ? 'excludeSite' : 'site', site);
+            }
+            return;
+        }
+
+        if (minus) {
+            error(`${key}: can't be excluded with "-"`, start, end);
+            return;
+        }
+
+        if (key === 'filetype') {
+            const type = value.replace(/^\./, '').toLowerCase();
+            if (!/^[a-z0-9]{1,8}$/.test(type)) {
+                error(`"${value}" isn't a file type`, start, end);
+            } else {
+                token('filetype', type);
+            }
+            return;
+        }
+
+        const date = this.parseDate(value);
+        if (!date) {
+            error(`${key}: expects a date like 2024-12-31`, start, end);
+        } else if (parsed.tokens.some(existing => existing.type === key)) {
+            error(`Only one ${key}: date can be used`, start, end);
+        } else {
+            token(key, date);
+        }
+    }
+
+    static parseSite(value) {
+        try {
+            const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+            return url.hostname.includes('.') ? url.hostname.replace(/^www\./, '').toLowerCase() : '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * YYYY-MM-DD, or YYYY for the first day of a year
+     */
+    static parseDate(value) {
+        const full = /^\d{4}$/.test(value) ? `${value}-01-01` : value;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(full)) return '';
+
+        const date = new Date(`${full}T00:00:00Z`);
+        return !isNaN(date.getTime()) && date.toISOString().startsWith(full) ? full : '';
+    }
+
+    /**
+     * Whether a result satisfies the operators the worker wasn't asked to apply
+     */
+    static matches(result, parsed, sentToWorker) {
+        const text = [result.title, result.snippet || result.description, result.url].join(' ').toLowerCase();
+        if (parsed.exclude.some(term => this.mentions(text, term))) return false;
+
+        const domain = (result.domain || Utils.extractDomain(result.url)).toLowerCase();
+        const onSite = (site) => domain === site || domain.endsWith(`.${site}`);
+        if (parsed.excludeSites.some(onSite)) return false;
+        if (!sentToWorker.site && parsed.sites.length > 0 && !parsed.sites.some(onSite)) return false;
+
+        if (!sentToWorker.filetype && parsed.filetypes.length > 0) {
+            let path = '';
+            try {
+                path = new URL(result.url).pathname.toLowerCase();
+            } catch (e) {
+                return false;
+            }
+            if (!parsed.filetypes.some(type => path.endsWith(`.${type}`))) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether text contains a word or phrase as a whole, so -cat leaves
+     * "concatenate" alone. Also works for terms like "c++" or ".net".
+     */
+    static mentions(text, term) {
+        const pattern = Utils.escapeRegExp(term.toLowerCase());
+        return new RegExp(`(^|[^\\p{L}\\p{N}_])${pattern}(?![\\p{L}\\p{N}_])`, 'u').test(text);
+    }
+
+    /**
+     * Query text with one token replaced (or removed when text is empty)
+     */
+    static replaceToken(query, token, text) {
+        const before = query.slice(0, token.start);
+        const after = query.slice(token.end);
+        return `${before}${text}${after}`.replace(/\s+/g, ' ').trim();
+    }
+
+    static describe(token) {
+        const labels = {
+            phrase: `"${token.value}"`,
+            exclude: `not ${token.value}`,
+            site: `site: ${token.value}`,
+            excludeSite: `not site: ${token.value}`,
+            filetype: `.${token.value} files`,
+            before: `before ${token.value}`,
+            after: `after ${token.value}`
+        };
+        return labels[token.type] || token.value;
+    }
+}
+
+// Export for global use
+window.QueryParser = QueryParser;
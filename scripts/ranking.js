@@ -0,0 +1,294 @@
+// Ranking Rules - personal block / lower / boost rules for result domains
+//
+// A rule matches its domain and every subdomain of it. Blocked results are
+// hidden behind a "N results hidden" note, lowered ones go to the end of the
+// page and boosted ones to the top. Rules are kept in localStorage and can be
+// shared as a JSON file: { "rules": [{ "domain": "example.com", "action": "block" }] }
+
+class RankingRules {
+    constructor(controller) {
+        this.controller = controller;
+        this.storageKey = 'rankingRules';
+        this.rules = this.load();
+        this.menu = null;
+
+        this.list = document.getElementById('rankingRuleList');
+        this.form = document.getElementById('rankingRuleForm');
+
+        this.bindEvents();
+        this.renderList();
+    }
+
+    static getActions() {
+        return {
+            boost: { label: 'Boost', icon: 'fa-arrow-up' },
+            lower: { label: 'Lower', icon: 'fa-arrow-down' },
+            block: { label: 'Block', icon: 'fa-ban' }
+        };
+    }
+
+    load() {
+        try {
+            return RankingRules.validate(JSON.parse(localStorage.getItem(this.storageKey)));
+        } catch (e) {
+            console.warn('Failed to load ranking rules:', e);
+            return [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.rules));
+    }
+
+    /**
+     * Usable rules from stored or imported data; the last rule for a domain wins
+     */
+    static validate(data) {
+        const list = Array.isArray(data) ? data : (Utils.isObject(data) && Array.isArray(data.rules) ? data.rules : []);
+        const rules = new Map();
+
+        list.forEach(rule => {
+            if (!Utils.isObject(rule) || !RankingRules.getActions()[rule.action]) return;
+            const domain = RankingRules.normalizeDomain(rule.domain);
+            if (domain) rules.set(domain, { domain, action: rule.action });
+        });
+
+        return [...rules.values()];
+    }
+
+    /**
+     * Accept "example.com" as well as pasted URLs
+     */
+    static normalizeDomain(value) {
+        const domain = typeof value === 'string' ? value.trim().toLowerCase() : '';
+        if (!domain) return '';
+
+        try {
+            const hostname = new URL(/^https?:\/\//.test(domain) ? domain : `https://${domain}`).hostname;
+            return hostname.includes('.') ? hostname.replace(/^www\./, '') : '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * The rule for a result's domain, preferring the most specific one
+     */
+    getRule(domain) {
+        const host = (domain || '').toLowerCase().replace(/^www\./, '');
+        return this.rules
+            .filter(rule => host === rule.domain || host.endsWith(`.${rule.domain}`))
+            .sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+    }
+
+    setRule(domain, action) {
+        const normalized = RankingRules.normalizeDomain(domain);
+        if (!normalized) return false;
+
+        this.rules = this.rules.filter(rule => rule.domain !== normalized);
+        if (action) {
+            this.rules.push({ domain: normalized, action });
+        }
+        this.changed();
+        return true;
+    }
+
+    changed() {
+        this.save();
+        this.renderList();
+
+        // Re-rank what's on screen
+        this.controller.rerenderResults();
+    }
+
+    /**
+     * Split results into the ones to show, in rule order, and blocked ones
+     */
+    apply(results) {
+        const ranked = { boost: [], none: [], lower: [], block: [] };
+
+        results.forEach(result => {
+            const rule = this.getRule(result.domain || Utils.extractDomain(result.url));
+            ranked[rule ? rule.action : 'none'].push(result);
+        });
+
+        return {
+            visible: [...ranked.boost, ...ranked.none, ...ranked.lower],
+            hidden: ranked.block
+        };
+    }
+
+    /**
+     * "N results hidden" note with the hidden cards collapsed beneath it
+     */
+    createHiddenNote(hidden, createElement, offset) {
+        const note = document.createElement('div');
+        note.className = 'ranking-hidden';
+        note.innerHTML = `
+            <div class="ranking-hidden-note">
+                <i class="fas fa-ban"></i>
+                ${hidden.length} result${hidden.length === 1 ? '' : 's'} hidden by your ranking rules
+                <button type="button" class="ranking-hidden-toggle">Show</button>
+            </div>
+            <div class="ranking-hidden-results hidden"></div>
+        `;
+
+        const results = note.querySelector('.ranking-hidden-results');
+        hidden.forEach((result, index) => results.appendChild(createElement(result, offset + index)));
+
+        note.querySelector('.ranking-hidden-toggle').addEventListener('click', (e) => {
+            const show = results.classList.contains('hidden');
+            results.classList.toggle('hidden', !show);
+            e.target.textContent = show ? 'Hide' : 'Show';
+        });
+
+        return note;
+    }
+
+    /**
+     * Button on a result card that opens the rule menu for its domain
+     */
+    renderButton(domain) {
+        if (!domain) return '';
+
+        const rule = this.getRule(domain);
+        return `
+            <span class="ranking-control">
+                <button type="button" class="ranking-btn ${rule ? `ranked-${rule.action}` : ''}" data-rank-domain="${Utils.sanitizeHTML(domain)}"
+                        title="Ranking rules for ${Utils.sanitizeHTML(domain)}" aria-label="Ranking rules for ${Utils.sanitizeHTML(domain)}">
+                    <i class="fas fa-sliders-h"></i>
+                </button>
+            </span>
+        `;
+    }
+
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rank-domain]');
+            if (button) {
+                e.preventDefault();
+                this.openMenu(button);
+                return;
+            }
+
+            const option = e.target.closest('[data-rank-action]');
+            if (option && this.menu && this.menu.contains(option)) {
+                this.setRule(option.dataset.ruleDomain || this.menu.dataset.domain, option.dataset.rankAction);
+            }
+            this.closeMenu();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeMenu();
+        });
+
+        if (this.form) {
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const { domain, action } = this.form.elements;
+                if (this.setRule(domain.value, action.value)) {
+                    domain.value = '';
+                } else {
+                    window.ui.showToast('Enter a domain such as example.com', 'error');
+                }
+            });
+        }
+
+        if (this.list) {
+            this.list.addEventListener('click', (e) => {
+                const remove = e.target.closest('[data-remove-rule]');
+                if (remove) this.setRule(remove.dataset.removeRule, null);
+            });
+        }
+
+        const exportButton = document.getElementById('exportRankingRules');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.export());
+        }
+
+        const importInput = document.getElementById('importRankingRules');
+        if (importInput) {
+            importInput.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.import(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+    }
+
+    openMenu(button) {
+        const domain = button.dataset.rankDomain;
+        const rule = this.getRule(domain);
+        const current = rule && rule.domain === RankingRules.normalizeDomain(domain) ? rule.action : null;
+
+        this.closeMenu();
+        this.menu = document.createElement('div');
+        this.menu.className = 'ranking-menu';
+        this.menu.dataset.domain = domain;
+        this.menu.innerHTML = `
+            <div class="ranking-menu-title">${Utils.sanitizeHTML(domain)}</div>
+            ${Object.entries(RankingRules.getActions()).map(([action, { label, icon }]) => `
+                <button type="button" class="filter-option ${current === action ? 'active' : ''}" data-rank-action="${action}">
+                    <i class="fas ${icon}"></i> ${label}
+                </button>
+            `).join('')}
+            ${rule ? `
+                <button type="button" class="filter-option" data-rank-action="" data-rule-domain="${Utils.sanitizeHTML(rule.domain)}">
+                    <i class="fas fa-times"></i> Remove rule${current ? '' : ` for ${Utils.sanitizeHTML(rule.domain)}`}
+                </button>
+            ` : ''}
+        `;
+
+        button.parentElement.appendChild(this.menu);
+    }
+
+    closeMenu() {
+        if (this.menu) this.menu.remove();
+        this.menu = null;
+    }
+
+    renderList() {
+        if (!this.list) return;
+
+        const actions = RankingRules.getActions();
+        this.list.innerHTML = this.rules.length === 0
+            ? '<p class="ranking-empty">No rules yet. Add one here or from the <i class="fas fa-sliders-h"></i> button on a result.</p>'
+            : [...this.rules].sort((a, b) => a.domain.localeCompare(b.domain)).map(rule => `
+                <div class="worker-row ranking-rule">
+                    <span class="ranking-action ranked-${rule.action}">
+                        <i class="fas ${actions[rule.action].icon}"></i> ${actions[rule.action].label}
+                    </span>
+                    <span class="worker-url">${Utils.sanitizeHTML(rule.domain)}</span>
+                    <button class="worker-btn" data-remove-rule="${Utils.sanitizeHTML(rule.domain)}" title="Remove">
+                        <i class="fas fa-trash-alt"></i>
+                    </button>
+                </div>
+            `).join('');
+    }
+
+    export() {
+        Utils.exportAsJSON({ version: 1, rules: this.rules }, 'ranking-rules.json');
+    }
+
+    /**
+     * Merge a shared list into ours; imported rules win for the same domain
+     */
+    async import(file) {
+        try {
+            const imported = RankingRules.validate(await Utils.importJSON(file));
+            if (imported.length === 0) {
+                window.ui.showToast('No ranking rules found in that file', 'error');
+                return;
+            }
+
+            this.rules = RankingRules.validate([...this.rules, ...imported]);
+            this.changed();
+            window.ui.showToast(`Imported ${imported.length} ranking rule${imported.length === 1 ? '' : 's'}`, 'success');
+        } catch (e) {
+            console.warn('Failed to import ranking rules:', e);
+            window.ui.showToast("That file isn't a ranking rules list", 'error');
+        }
+    }
+}
+
+// Export for global use
+window.RankingRules = RankingRules;
@@ -1,36 +1,69 @@
 // Search Engine - Main Search Controller with Multi-Worker Fallback System
 class SearchController {
     constructor() {
-        // Multi-worker configuration
+        // Multi-worker configuration, managed by the user through the worker pool setting.
+        // primary/fallbacks are derived from the enabled pool entries.
         this.workers = {
-            primary: 'https://proxy.yoohoo.workers.dev',
-            fallbacks: [
-                'https://proxy1.yoohoo.workers.dev',
-                'https://proxy2.yoohoo.workers.dev',
-                'https://proxy3.yoohoo.workers.dev',
-                'https://proxy4.yoohoo.workers.dev',
-                'https://proxy5.yoohoo.workers.dev'
-            ],
+            pool: SearchController.getDefaultWorkers(),
+            primary: null,
+            fallbacks: [],
             currentIndex: 0
         };
+        this.syncWorkerList();
 
         this.config = {
             safeSearch: 'moderate',
             language: 'en',
+            region: 'us',
+            // null follows the region
+            temperatureUnit: null,
             aiEnabled: true,
             resultsPerPage: 10,
             searchProvider: 'all',
             useWorkerFallback: true,
+            hedgeRequests: false,
+            streamResults: true,
+            streamSummaries: true,
+            infiniteScroll: false,
+            maxPages: 10,
             maxRetries: 3,
-            requestTimeout: 15000
+            requestTimeout: 15000,
+            circuitFailureThreshold: 3,
+            circuitResetTimeout: 60000,
+            cacheResults: true,
+            cacheDuration: 3600000,
+            // Sort mode per category; relevance when unset
+            sortModes: {},
+            // User-defined bangs: [{ bang, url }] with %s for the query
+            customBangs: [],
+            // Where web searches go: our workers or an engine from getAvailableSearchEngines
+            searchEngine: 'worker',
+            // Engine id -> JSON API template; engines without one are redirected to
+            engineApis: {}
         };
 
         this.currentQuery = '';
         this.currentCategory = 'web';
         this.currentPage = 1;
+        this.totalPages = 0;
+        this.infiniteScroll = null;
         this.searchHistory = [];
         this.isSearching = false;
         this.abortController = null;
+        this.suggestionController = null;
+        this.inFlight = new Map();
+        this.streamingFrame = null;
+        this.streamingSnapshot = null;
+        this.currentCacheKey = null;
+        this.exactQuery = null;
+        this.engineOverride = null;
+        this.resultCache = new ResultCache();
+        this.summaryPanel = new SummaryPanel(this);
+        this.weatherCard = new WeatherCard(this);
+        this.deepSearch = new DeepSearch(this);
+        this.bangs = new Bangs(this);
+        this.currentResponse = null;
+        this.githubFilters = { language: '', sort: '' };
 
         // Worker health tracking
         this.workerHealth = new Map();
@@ -49,7 +82,20 @@ class SearchController {
             resultsSection: null,
             imagesSection: null,
             videosSection: null,
-            newsSection: null
+            newsSection: null,
+            resultsPagination: null,
+            videosPagination: null,
+            newsPagination: null,
+            offlineBanner: null,
+            relatedSearches: null,
+            resultsTools: null,
+            activeFilters: null,
+            sortButton: null,
+            sortMenu: null,
+            queryChips: null,
+            queryHint: null,
+            searchElsewhere: null,
+            engineSelect: null
         };
 
         this.init();
@@ -58,29 +104,95 @@ class SearchController {
     init() {
         this.cacheDOM();
         this.loadConfig();
+        this.loadHistory();
+        this.filters = new ResultFilters(this);
+        this.rankingRules = new RankingRules(this);
+        this.updateSortButton();
+        this.renderEngineSelect();
         this.bindEvents();
         this.restoreSearch();
         this.attachKeyboardShortcuts();
+        this.updateOfflineBanner();
+
+        // Scroll positions are restored after results have been re-rendered
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
         
         // Don't auto health check - it causes CORS errors
         // this.healthCheckAllWorkers();
 
-        console.log('🔍 Search Controller initialized with', this.workers.fallbacks.length + 1, 'workers');
+        console.log('🔍 Search Controller initialized with', this.getWorkerList().length, 'workers');
+    }
+
+    static getDefaultWorkers() {
+        return [
+            { url: 'https://proxy.yoohoo.workers.dev', label: 'Primary', enabled: true },
+            { url: 'https://proxy1.yoohoo.workers.dev', label: 'Proxy 1', enabled: true },
+            { url: 'https://proxy2.yoohoo.workers.dev', label: 'Proxy 2', enabled: true },
+            { url: 'https://proxy3.yoohoo.workers.dev', label: 'Proxy 3', enabled: true },
+            { url: 'https://proxy4.yoohoo.workers.dev', label: 'Proxy 4', enabled: true },
+            { url: 'https://proxy5.yoohoo.workers.dev', label: 'Proxy 5', enabled: true }
+        ];
     }
 
     initializeWorkerHealth() {
-        // Initialize health status for all workers
-        [this.workers.primary, ...this.workers.fallbacks].forEach(worker => {
+        // Restore circuit state from the last session, then fill in the rest
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('workerHealth')) || {};
+        } catch (e) {
+            console.warn('Failed to load worker health:', e);
+        }
+
+        // Keep saved state for workers that only join the pool once settings load
+        new Set([...this.getWorkerList(), ...Object.keys(saved)]).forEach(worker => {
             this.workerHealth.set(worker, {
-                healthy: true,
-                lastCheck: 0,
-                responseTime: 0,
-                errorCount: 0,
-                successCount: 0
+                ...this.createWorkerHealth(),
+                ...saved[worker],
+                trialInFlight: false
             });
         });
     }
 
+    createWorkerHealth() {
+        return {
+            healthy: true,
+            lastCheck: 0,
+            responseTime: 0,
+            errorCount: 0,
+            // Failures in a row, for the circuit breaker
+            failureStreak: 0,
+            successCount: 0,
+            circuit: 'closed',
+            openedAt: 0,
+            trialInFlight: false,
+            latencyHistory: [],
+            lastError: null
+        };
+    }
+
+    getWorkerHealth(workerUrl) {
+        if (!this.workerHealth.has(workerUrl)) {
+            this.workerHealth.set(workerUrl, this.createWorkerHealth());
+        }
+        return this.workerHealth.get(workerUrl);
+    }
+
+    saveWorkerHealth() {
+        const data = {};
+        this.workerHealth.forEach((health, worker) => {
+            const { trialInFlight, ...persisted } = health;
+            data[worker] = persisted;
+        });
+
+        try {
+            localStorage.setItem('workerHealth', JSON.stringify(data));
+        } catch (e) {
+            console.warn('Failed to save worker health:', e);
+        }
+    }
+
     cacheDOM() {
         this.elements.searchInput = document.getElementById('searchInput');
         this.elements.searchForm = document.getElementById('searchForm');
@@ -94,6 +206,19 @@ class SearchController {
         this.elements.imagesSection = document.getElementById('imagesSection');
         this.elements.videosSection = document.getElementById('videosSection');
         this.elements.newsSection = document.getElementById('newsSection');
+        this.elements.resultsPagination = document.getElementById('resultsPagination');
+        this.elements.videosPagination = document.getElementById('videosPagination');
+        this.elements.newsPagination = document.getElementById('newsPagination');
+        this.elements.offlineBanner = document.getElementById('offlineBanner');
+        this.elements.relatedSearches = document.getElementById('relatedSearches');
+        this.elements.resultsTools = document.querySelector('.results-tools');
+        this.elements.activeFilters = document.getElementById('activeFilters');
+        this.elements.sortButton = document.getElementById('sortResults');
+        this.elements.sortMenu = document.getElementById('sortMenu');
+        this.elements.queryChips = document.getElementById('queryChips');
+        this.elements.queryHint = document.getElementById('queryHint');
+        this.elements.searchElsewhere = document.getElementById('searchElsewhere');
+        this.elements.engineSelect = document.getElementById('engineSelect');
     }
 
     loadConfig() {
@@ -104,9 +229,10 @@ class SearchController {
                 Object.assign(this.config, loadedConfig);
                 
                 // Update workers from settings if available
-                if (loadedConfig.workerUrl) {
-                    this.workers.primary = loadedConfig.workerUrl;
-                    this.updateWorkerHealth();
+                if (loadedConfig.workerPool) {
+                    this.setWorkerPool(loadedConfig.workerPool);
+                } else if (loadedConfig.workerUrl) {
+                    this.setWorkerPool(this.withPrimaryWorker(loadedConfig.workerUrl));
                 }
             } catch (e) {
                 console.warn('Failed to load config:', e);
@@ -118,6 +244,17 @@ class SearchController {
         localStorage.setItem('searchConfig', JSON.stringify(this.config));
     }
 
+    loadHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('searchHistory'));
+            if (Array.isArray(saved)) {
+                this.searchHistory = saved.filter(entry => entry && typeof entry.query === 'string');
+            }
+        } catch (e) {
+            console.warn('Failed to load search history:', e);
+        }
+    }
+
     bindEvents() {
         // Search form
         this.elements.searchForm.addEventListener('submit', (e) => {
@@ -147,6 +284,12 @@ class SearchController {
             this.feelingLucky();
         });
 
+        // Deep search
+        document.getElementById('deepSearchBtn').addEventListener('click', () => {
+            this.switchCategory('massive');
+            this.performSearch();
+        });
+
         // Category buttons
         document.querySelectorAll('.category-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -167,6 +310,56 @@ class SearchController {
             });
         }
 
+        // Pagination controls
+        [this.elements.resultsPagination, this.elements.videosPagination, this.elements.newsPagination]
+            .filter(Boolean)
+            .forEach(container => {
+                container.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-page]');
+                    if (button && !button.disabled) {
+                        this.goToPage(parseInt(button.dataset.page, 10));
+                    }
+                });
+            });
+
+        // Sort menu
+        if (this.elements.sortMenu) {
+            this.elements.sortMenu.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-sort]');
+                if (option) {
+                    this.setSortMode(option.dataset.sort);
+                }
+            });
+        }
+
+        // Engine for this query
+        if (this.elements.engineSelect) {
+            this.elements.engineSelect.addEventListener('change', (e) => {
+                if (this.currentQuery) {
+                    this.performSearch(this.currentQuery, { engine: e.target.value });
+                }
+            });
+        }
+
+        // Related searches
+        if (this.elements.relatedSearches) {
+            this.elements.relatedSearches.addEventListener('click', (e) => {
+                const tag = e.target.closest('.related-tag');
+                if (!tag) return;
+
+                e.preventDefault();
+                this.elements.searchInput.value = tag.dataset.query;
+                this.performSearch(tag.dataset.query);
+            });
+        }
+
+        // Remember where the user was before leaving the page
+        window.addEventListener('pagehide', () => this.saveScrollState());
+
+        // Offline mode
+        window.addEventListener('online', () => this.updateOfflineBanner());
+        window.addEventListener('offline', () => this.updateOfflineBanner());
+
         // Handle back/forward navigation
         window.addEventListener('popstate', (e) => {
             if (e.state && e.state.query) {
@@ -175,6 +368,17 @@ class SearchController {
         });
     }
 
+    /**
+     * Whether a single-key shortcut should be left alone: the key goes to a
+     * form field, or settings or another dialog is open
+     */
+    isTypingOrInDialog(e) {
+        if (e.target.matches('input, textarea, select') || e.target.isContentEditable) return true;
+
+        const settings = document.getElementById('settingsModal');
+        return (settings && settings.style.display === 'flex') || (window.ui && window.ui.modals.size > 0);
+    }
+
     attachKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
             // Focus search with /
@@ -193,19 +397,35 @@ class SearchController {
                 e.preventDefault();
                 this.elements.searchInput.focus();
             }
+
+            // n / p for next and previous results page
+            if ((e.key === 'n' || e.key === 'p') && !this.isTypingOrInDialog(e) &&
+                !e.ctrlKey && !e.metaKey && !e.altKey && this.totalPages > 1) {
+                this.goToPage(this.currentPage + (e.key === 'n' ? 1 : -1));
+            }
         });
 
-        // Real-time suggestions
+        // Real-time suggestions and operator chips
         let suggestionTimeout;
         this.elements.searchInput.addEventListener('input', (e) => {
             clearTimeout(suggestionTimeout);
             suggestionTimeout = setTimeout(() => {
                 this.showSuggestions(e.target.value);
+                this.renderQueryChips();
             }, 300);
         });
+
+        if (this.elements.queryChips) {
+            this.elements.queryChips.addEventListener('click', (e) => this.handleQueryChipClick(e));
+        }
     }
 
-    async performSearch(query = null) {
+    /**
+     * Run a search. options.page picks the results page; options.history
+     * is 'push' (default), 'replace' for deep links or 'none' for back/forward.
+     */
+    async performSearch(query = null, options = {}) {
+        const { page = 1, history = 'push', scroll = null, engine } = options;
         const searchQuery = query || this.elements.searchInput.value.trim();
         
         if (!searchQuery) {
@@ -213,23 +433,62 @@ class SearchController {
             return;
         }
 
-        // Cancel any ongoing search
+        // "!g query" searches another engine instead
+        const bang = this.bangs.match(searchQuery);
+        if (bang) {
+            this.redirectTo(Bangs.buildURL(bang.url, bang.query), history);
+            return;
+        }
+
+        // An engine picked in the results header holds for this query only
+        if (engine !== undefined) {
+            this.engineOverride = engine && engine !== this.config.searchEngine ? engine : null;
+        } else if (searchQuery !== this.currentQuery) {
+            this.engineOverride = null;
+        }
+        this.renderEngineSelect();
+
+        const external = this.getExternalEngine();
+        if (external && !external.api) {
+            this.redirectTo(Bangs.buildURL(external.url, searchQuery), history);
+            return;
+        }
+
+        // Malformed operators get a hint rather than a search that can't work
+        const parsed = QueryParser.parse(searchQuery);
+        if (this.currentCategory !== 'weather') {
+            this.renderQueryChips(parsed);
+            if (parsed.errors.length > 0) {
+                this.showQueryHint(parsed);
+                return;
+            }
+        }
+
+        // Cancel any ongoing search and pending suggestions
         if (this.abortController) {
             this.abortController.abort();
         }
+        this.cancelSuggestions();
 
+        const controller = new AbortController();
         this.isSearching = true;
         this.currentQuery = searchQuery;
-        this.currentPage = 1;
-        this.abortController = new AbortController();
+        this.currentPage = page;
+        this.abortController = controller;
 
         // Update UI
         this.showLoading();
-        this.updateURL();
+        if (history !== 'none') {
+            this.updateURL(history === 'replace');
+        }
         this.addToHistory(searchQuery);
 
         try {
-            await this.executeSearch(searchQuery);
+            await this.executeSearch(searchQuery, controller.signal);
+
+            if (scroll && this.abortController === controller) {
+                await this.restoreScrollPosition(scroll);
+            }
         } catch (error) {
             if (error.name === 'AbortError') {
                 console.log('Search was cancelled');
@@ -237,12 +496,38 @@ class SearchController {
             }
             this.showError(`Search failed: ${error.message}`);
         } finally {
-            this.isSearching = false;
-            this.hideLoading();
+            // A newer search owns the loading state now
+            if (this.abortController === controller) {
+                this.isSearching = false;
+                this.hideLoading();
+            }
+        }
+    }
+
+    redirectTo(url, history = 'push') {
+        // Don't leave a history entry that would redirect again on back
+        if (history === 'push') {
+            window.location.assign(url);
+        } else {
+            window.location.replace(url);
         }
     }
 
-    async executeSearch(query) {
+    /**
+     * The engine web searches go to when it isn't our workers, with its
+     * JSON API template if one is configured, or null
+     */
+    getExternalEngine() {
+        if (this.currentCategory !== 'web') return null;
+
+        const id = this.engineOverride || this.config.searchEngine;
+        const engine = SettingsManager.getAvailableSearchEngines().find(option => option.id === id);
+        if (!engine || engine.id === 'worker') return null;
+
+        return { ...engine, api: this.config.engineApis[engine.id] || '' };
+    }
+
+    getEndpoint(category) {
         const endpoints = {
             web: '/search',
             images: '/images',
@@ -254,33 +539,177 @@ class SearchController {
             github: '/github'
         };
 
-        const endpoint = endpoints[this.currentCategory] || '/search';
+        return endpoints[category] || '/search';
+    }
+
+    buildSearchParams(query, page) {
+        const endpoint = this.getEndpoint(this.currentCategory);
+        // Place names aren't parsed for operators
+        const parsed = endpoint === '/weather' ? null : QueryParser.parse(query);
         const params = new URLSearchParams({
-            q: query,
+            q: parsed && parsed.text ? parsed.text : query,
             safe: this.config.safeSearch,
-            page: this.currentPage
+            page
         });
 
-        if (this.config.aiEnabled && (endpoint === '/search' || endpoint === '/all')) {
+        // Web summaries are streamed separately from /summarize
+        const bundleSummaries = endpoint === '/all' || (endpoint === '/search' && !this.config.streamSummaries);
+        if (this.config.aiEnabled && bundleSummaries) {
             params.append('ai', 'true');
         }
 
+        // A resumed deep search doesn't ask sources that already finished
+        if (endpoint === '/massive') {
+            const answered = this.deepSearch.getAnsweredSources(query, page);
+            if (answered.length > 0) params.append('skip', answered.join(','));
+        }
+
+        if (endpoint === '/github') {
+            if (this.githubFilters.language) params.append('language', this.githubFilters.language);
+            if (this.githubFilters.sort) params.append('sort', this.githubFilters.sort);
+        }
+
+        if (parsed) {
+            this.filters.appendParams(params);
+            this.appendOperatorParams(params, parsed);
+        }
+
+        // Dated categories can sort the whole result set, not just one page
+        if (this.isWorkerSorted(this.currentCategory) && this.getSortMode() === 'date') {
+            params.append('sort', 'date');
+        }
+
+        // "Search instead for" asks for the query exactly as typed
+        if (this.exactQuery === query) {
+            params.append('autocorrect', 'false');
+        }
+
+        return params;
+    }
+
+    /**
+     * Operators with a worker parameter; they take precedence over the
+     * Filter menu. The rest are applied by filterResults.
+     */
+    appendOperatorParams(params, parsed) {
+        if (parsed.sites.length === 1) params.set('site', parsed.sites[0]);
+        if (parsed.filetypes.length === 1) params.set('filetype', parsed.filetypes[0]);
+
+        if (parsed.after || parsed.before) {
+            params.set('time', 'custom');
+            if (parsed.after) params.set('from', parsed.after);
+            if (parsed.before) params.set('to', parsed.before);
+        }
+    }
+
+    /**
+     * Drop results that break operators the worker wasn't asked to apply
+     */
+    filterResults(results, parsed = QueryParser.parse(this.currentQuery)) {
+        const sentToWorker = { site: parsed.sites.length === 1, filetype: parsed.filetypes.length === 1 };
+        const needsFilter = parsed.exclude.length > 0 || parsed.excludeSites.length > 0 ||
+            parsed.sites.length > 1 || parsed.filetypes.length > 1;
+
+        if (!needsFilter || this.currentCategory === 'weather') return results;
+        return results.filter(result => QueryParser.matches(result, parsed, sentToWorker));
+    }
+
+    filterResponse(response) {
+        const parsed = QueryParser.parse(this.currentQuery);
+        const sections = {};
+        Object.entries(response.sections).forEach(([name, items]) => {
+            sections[name] = this.filterResults(items, parsed);
+        });
+
+        return { ...response, results: this.filterResults(response.results, parsed), sections };
+    }
+
+    getCacheKey(query, page) {
+        // Every other parameter that changes the results is part of the key
+        const params = this.buildSearchParams(query, page);
+        ['q', 'safe', 'page', 'skip'].forEach(name => params.delete(name));
+
+        const engine = this.getExternalEngine();
+        if (engine) params.set('engine', engine.id);
+
+        return ResultCache.buildKey({
+            query,
+            category: this.currentCategory,
+            page,
+            safeSearch: this.config.safeSearch,
+            language: this.config.language,
+            filters: params.toString()
+        });
+    }
+
+    async executeSearch(query, signal = null) {
+        const endpoint = this.getEndpoint(this.currentCategory);
+        const params = this.buildSearchParams(query, this.currentPage);
+        const engine = this.getExternalEngine();
+
         this.showSection(this.currentCategory);
 
+        const cacheKey = this.getCacheKey(query, this.currentPage);
+        this.currentCacheKey = cacheKey;
+
         try {
-            const response = await this.fetchWithFallback(endpoint, params);
+            if (this.isCacheEnabled()) {
+                const cached = await this.resultCache.get(cacheKey, this.config.cacheDuration);
+
+                // A newer search may have started while the cache was read
+                if (this.currentCacheKey !== cacheKey) return;
+
+                if (cached) {
+                    this.processResponse({ ...cached.response, cachedAt: cached.storedAt });
+                    if (cached.stale && !engine) {
+                        this.revalidateCachedSearch(cacheKey, endpoint, params, signal);
+                    }
+                    return;
+                }
+            }
+
+            if (this.currentCategory === 'massive') {
+                this.deepSearch.start(query, this.currentPage);
+            }
+
+            // Streaming workers let results render before the response is complete
+            let response = engine
+                ? await this.fetchFromEngine(engine, query, this.currentPage, signal)
+                : await this.fetchCoalesced(endpoint, params, signal, (partial) => {
+                    if (!(signal && signal.aborted)) {
+                        this.queueStreamingRender(partial);
+                    }
+                });
             
             if (response.error) {
                 throw new Error(response.error);
             }
 
+            if (this.currentCategory === 'massive') {
+                response = this.deepSearch.complete(response);
+            }
+
             this.processResponse(response);
+            this.cacheResponse(cacheKey, response);
             
         } catch (error) {
+            this.cancelStreamingRender();
+
+            // Superseded by a newer search; leave the page to it
+            if (signal && signal.aborted) {
+                throw this.createAbortError();
+            }
+
             console.error(`${this.currentCategory} search error:`, error);
             
             // Show error and provide alternative methods
-            if (error.message.includes('CORS') || error.message.includes('NetworkError')) {
+            if (!navigator.onLine) {
+                this.showError(`You're offline and there are no saved results for "${Utils.sanitizeHTML(query)}".`);
+            } else if (engine) {
+                this.showError(`${Utils.sanitizeHTML(engine.name)} search failed: ${Utils.sanitizeHTML(error.message)}`);
+            } else if (error instanceof ResponseNormalizationError) {
+                this.showError(`The search worker sent an unexpected response: ${error.reason}`);
+            } else if (error.message.includes('CORS') || error.message.includes('NetworkError')) {
                 this.showCorsError();
             } else {
                 this.showError('Search failed. Please try again.');
@@ -288,49 +717,491 @@ class SearchController {
         }
     }
 
-    async fetchWithFallback(endpoint, params, retries = 0) {
+    /**
+     * Web results from an external engine's JSON API, e.g. a Searx instance
+     * with format=json. %s is the query and %p the page, if the API pages.
+     */
+    async fetchFromEngine(engine, query, page, signal = null) {
+        const url = Bangs.buildURL(engine.api, query).replace(/%p/g, page);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.config.requestTimeout);
+        const abortFromCaller = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', abortFromCaller, { once: true });
+        }
+
+        try {
+            const response = await fetch(url, {
+                signal: controller.signal,
+                mode: 'cors',
+                headers: { 'Accept': 'application/json' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const normalized = ResultNormalizer.normalize('/search', await response.json());
+            normalized.results.forEach(result => {
+                if (!result.source) result.source = engine.name;
+            });
+            if (!engine.api.includes('%p')) {
+                normalized.pagination = { ...normalized.pagination, hasMore: false };
+            }
+            return normalized;
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', abortFromCaller);
+        }
+    }
+
+    /**
+     * Share one in-flight request between identical concurrent callers.
+     * Each caller can cancel its own wait; the shared request is only
+     * aborted once every caller has cancelled. onPartial receives streamed
+     * snapshots for as long as the caller is waiting.
+     */
+    fetchCoalesced(endpoint, params, signal = null, onPartial = null) {
+        if (signal && signal.aborted) {
+            return Promise.reject(this.createAbortError());
+        }
+
+        const key = `${endpoint}?${params.toString()}`;
+        let entry = this.inFlight.get(key);
+
+        if (!entry) {
+            const controller = new AbortController();
+            const listeners = new Set();
+            entry = { controller, callers: 0, listeners, promise: null };
+            entry.promise = this.fetchWithFallback(endpoint, params, controller.signal, (partial) => {
+                listeners.forEach(listener => listener(partial));
+            });
+            this.inFlight.set(key, entry);
+
+            const release = () => {
+                if (this.inFlight.get(key) === entry) {
+                    this.inFlight.delete(key);
+                }
+            };
+            entry.promise.then(release, release);
+        }
+
+        const shared = entry;
+        shared.callers++;
+        if (onPartial) shared.listeners.add(onPartial);
+
+        return new Promise((resolve, reject) => {
+            let done = false;
+
+            const onAbort = () => {
+                if (done) return;
+                done = true;
+                shared.listeners.delete(onPartial);
+                reject(this.createAbortError());
+
+                if (--shared.callers === 0) {
+                    shared.controller.abort();
+                    if (this.inFlight.get(key) === shared) {
+                        this.inFlight.delete(key);
+                    }
+                }
+            };
+
+            const settle = (callback) => (value) => {
+                if (done) return;
+                done = true;
+                shared.callers--;
+                shared.listeners.delete(onPartial);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            shared.promise.then(settle(resolve), settle(reject));
+        });
+    }
+
+    async fetchWithFallback(endpoint, params, signal = null, onPartial = null, retries = 0) {
         const maxRetries = this.config.maxRetries;
+
+        if (this.getWorkerList().length === 0) {
+            throw new Error('No search workers are enabled. Add one in Settings → Search.');
+        }
         
         try {
-            // Try all workers
-            const workers = [this.workers.primary, ...this.workers.fallbacks];
+            // Try workers in health order, giving a sidelined one a chance in the background.
+            // Without a healthy worker the request itself is the trial.
+            const workers = this.getRoutedWorkers();
+            if (workers.length > 0 && this.getCircuitState(workers[0]) === 'closed') {
+                this.probeSidelinedWorker(endpoint, params);
+            }
+
+            if (this.config.hedgeRequests && workers.length > 1) {
+                return await this.fetchHedged(workers, endpoint, params, signal, onPartial);
+            }
             
+            let lastError = null;
             for (const worker of workers) {
+                if (!this.reserveTrial(worker)) continue;
+
                 try {
                     const startTime = performance.now();
-                    const response = await this.fetchFromWorker(worker, endpoint, params);
+                    const response = await this.fetchFromWorker(worker, endpoint, params, signal, undefined, onPartial);
                     const responseTime = performance.now() - startTime;
                     
                     // Update worker health
                     this.updateWorkerStatus(worker, true, responseTime);
+                    this.workers.currentIndex = this.getWorkerList().indexOf(worker);
                     
                     return response;
                 } catch (error) {
-                    this.updateWorkerStatus(worker, false);
+                    // Cancelled by the caller, not the worker's fault
+                    if (signal && signal.aborted) {
+                        this.releaseTrial(worker);
+                        throw error;
+                    }
+
+                    this.updateWorkerStatus(worker, false, 0, error);
                     console.warn(`Worker ${worker} failed:`, error.message);
+                    lastError = error;
                     continue; // Try next worker
                 }
             }
             
-            throw new Error('All workers failed');
+            throw lastError || new Error('All workers failed');
             
         } catch (error) {
-            if (retries < maxRetries) {
+            if (signal && signal.aborted) {
+                throw this.createAbortError();
+            }
+
+            // Retrying can't help while offline; saved results were already tried
+            if (retries < maxRetries && navigator.onLine) {
                 console.log(`Retrying... (${retries + 1}/${maxRetries})`);
-                await this.delay(1000 * (retries + 1)); // Exponential backoff
-                return this.fetchWithFallback(endpoint, params, retries + 1);
+                await this.delay(1000 * (retries + 1), signal); // Exponential backoff
+                return this.fetchWithFallback(endpoint, params, signal, onPartial, retries + 1);
             }
             throw error;
         }
     }
 
-    async fetchFromWorker(workerUrl, endpoint, params) {
+    /**
+     * Race workers in routed order: if the current worker hasn't answered
+     * after its hedge delay, a second request goes out in parallel. The first
+     * good answer wins and the others are aborted. A failing worker is
+     * replaced right away instead of waiting for the delay. With a streaming
+     * worker the first racer to deliver results wins early.
+     */
+    fetchHedged(workers, endpoint, params, signal = null, onPartial = null) {
+        const maxParallel = 2;
+
+        return new Promise((resolve, reject) => {
+            const controllers = [];
+            // Racers aborted on purpose; their errors say nothing about the worker
+            const dropped = new Set();
+            let next = 0;
+            let pending = 0;
+            let settled = false;
+            let hedgeTimer = null;
+            let streamOwner = null;
+            let lastError = new Error('All workers failed');
+
+            const finish = () => {
+                settled = true;
+                clearTimeout(hedgeTimer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            // Cancelling the search aborts every racer without blaming the workers
+            const onAbort = () => {
+                if (settled) return;
+                finish();
+                controllers.forEach(c => c.abort());
+                reject(this.createAbortError());
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(this.createAbortError());
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            const dropOthers = (keep) => {
+                controllers.forEach(c => {
+                    if (c === keep) return;
+                    dropped.add(c);
+                    c.abort();
+                });
+            };
+
+            // Try the next worker, or give up once every racer is done
+            const continueRace = () => {
+                if (next < workers.length) {
+                    launch();
+                } else if (pending === 0) {
+                    finish();
+                    reject(lastError);
+                }
+            };
+
+            const launch = () => {
+                if (settled || next >= workers.length || pending >= maxParallel) return;
+
+                const worker = workers[next++];
+
+                // A half-open worker already running its trial is passed over
+                if (!this.reserveTrial(worker)) {
+                    continueRace();
+                    return;
+                }
+
+                const controller = new AbortController();
+                const startTime = performance.now();
+                controllers.push(controller);
+                pending++;
+
+                clearTimeout(hedgeTimer);
+                if (next < workers.length) {
+                    hedgeTimer = setTimeout(launch, this.getHedgeDelay(worker));
+                }
+
+                // The first racer to stream results keeps the page; the rest are dropped
+                const onRacerPartial = onPartial && ((partial) => {
+                    if (settled) return;
+                    if (!streamOwner) {
+                        streamOwner = controller;
+                        clearTimeout(hedgeTimer);
+                        dropOthers(controller);
+                    }
+                    if (streamOwner === controller) onPartial(partial);
+                });
+
+                this.fetchFromWorker(worker, endpoint, params, controller.signal, undefined, onRacerPartial)
+                    .then(response => {
+                        pending--;
+                        if (settled) return;
+                        finish();
+
+                        this.updateWorkerStatus(worker, true, performance.now() - startTime);
+                        this.workers.currentIndex = this.getWorkerList().indexOf(worker);
+                        dropOthers(controller);
+                        resolve(response);
+                    })
+                    .catch(error => {
+                        pending--;
+                        // Losers aborted after a win or for a streaming racer are not the worker's fault
+                        if (settled || dropped.has(controller)) {
+                            this.releaseTrial(worker);
+                            // The race only goes on if the racer it made way for failed since
+                            if (!settled && !streamOwner) continueRace();
+                            return;
+                        }
+                        streamOwner = null;
+
+                        this.updateWorkerStatus(worker, false, 0, error);
+                        console.warn(`Worker ${worker} failed:`, error.message);
+                        lastError = error;
+                        continueRace();
+                    });
+            };
+
+            launch();
+        });
+    }
+
+    /**
+     * How long to wait on a worker before hedging: a bit above its average
+     * latency, or a conservative default while it has no track record.
+     */
+    getHedgeDelay(worker) {
+        const health = this.workerHealth.get(worker);
+        const maxDelay = this.config.requestTimeout / 2;
+
+        if (!health || health.successCount === 0 || !health.responseTime) {
+            return Math.min(2000, maxDelay);
+        }
+
+        return Math.min(Math.max(health.responseTime * 1.5, 300), maxDelay);
+    }
+
+    getWorkerList() {
+        return this.workers.primary ? [this.workers.primary, ...this.workers.fallbacks] : [];
+    }
+
+    getWorkerLabel(workerUrl) {
+        const entry = this.workers.pool.find(worker => worker.url === workerUrl);
+        return entry && entry.label ? entry.label : this.extractDomain(workerUrl);
+    }
+
+    /**
+     * Replace the worker pool. Entries are { url, label, enabled }; invalid
+     * and duplicate URLs are dropped. Takes effect on the next request.
+     */
+    setWorkerPool(pool) {
+        const seen = new Set();
+
+        this.workers.pool = (Array.isArray(pool) ? pool : [])
+            .map(worker => ({
+                url: String(worker.url || '').trim().replace(/\/+$/, ''),
+                label: String(worker.label || '').trim(),
+                enabled: worker.enabled !== false
+            }))
+            .filter(worker => {
+                if (!Utils.validateURL(worker.url) || seen.has(worker.url)) return false;
+                seen.add(worker.url);
+                return true;
+            });
+
+        this.syncWorkerList();
+        this.config.workerPool = this.workers.pool;
+    }
+
+    /**
+     * Pool with the given URL moved (or added) to the front, used for the
+     * single workerUrl setting.
+     */
+    withPrimaryWorker(workerUrl) {
+        const url = workerUrl.trim().replace(/\/+$/, '');
+        const pool = this.workers.pool.filter(worker => worker.url !== url);
+        const existing = this.workers.pool.find(worker => worker.url === url);
+
+        return [{ ...(existing || { label: 'Custom' }), url, enabled: true }, ...pool];
+    }
+
+    syncWorkerList() {
+        const enabled = this.workers.pool.filter(worker => worker.enabled).map(worker => worker.url);
+
+        this.workers.primary = enabled[0] || null;
+        this.workers.fallbacks = enabled.slice(1);
+        this.workers.currentIndex = 0;
+    }
+
+    /**
+     * Order workers for a request: workers with a closed circuit first,
+     * fastest and least error-prone at the front. Workers with an open or
+     * half-open circuit are skipped and only used when nothing else is left;
+     * a half-open worker whose trial request is still running is left out.
+     */
+    getRoutedWorkers() {
+        const workers = this.getWorkerList();
+        const candidates = this.config.useWorkerFallback ? workers : workers.slice(0, 1);
+        const healthy = [];
+        const sidelined = [];
+
+        candidates.forEach((worker, index) => {
+            const health = this.getWorkerHealth(worker);
+            const entry = { worker, health, score: this.getWorkerScore(health, index) };
+            const state = this.getCircuitState(worker);
+            if (state === 'half-open' && health.trialInFlight) return;
+            (state === 'closed' ? healthy : sidelined).push(entry);
+        });
+
+        if (healthy.length === 0) {
+            // Last resort: the circuit that has been open longest first
+            return sidelined
+                .sort((a, b) => a.health.openedAt - b.health.openedAt)
+                .map(entry => entry.worker);
+        }
+
+        return healthy
+            .sort((a, b) => a.score - b.score)
+            .map(entry => entry.worker);
+    }
+
+    /**
+     * Claim the single trial request of a half-open worker. Returns false
+     * when another request already holds it; other workers are always free.
+     */
+    reserveTrial(worker) {
+        if (this.getCircuitState(worker) !== 'half-open') return true;
+
+        const health = this.getWorkerHealth(worker);
+        if (health.trialInFlight) return false;
+        health.trialInFlight = true;
+        return true;
+    }
+
+    /**
+     * Give the trial back when its request was cancelled without an answer
+     */
+    releaseTrial(worker) {
+        this.getWorkerHealth(worker).trialInFlight = false;
+    }
+
+    getWorkerScore(health, index) {
+        // Workers without a successful response yet rank behind proven ones
+        // but keep their configured order among themselves
+        const latency = health && health.successCount > 0 ? health.responseTime : this.config.requestTimeout;
+        const errorPenalty = health ? health.errorCount * (this.config.requestTimeout / 3) : 0;
+        return latency + errorPenalty + index;
+    }
+
+    /**
+     * Send the single trial request for one half-open worker, reusing the
+     * current request and without blocking the search. Success closes the
+     * circuit, failure opens it again.
+     */
+    probeSidelinedWorker(endpoint, params) {
+        const worker = this.getWorkerList().find(w =>
+            this.getCircuitState(w) === 'half-open' && !this.getWorkerHealth(w).trialInFlight
+        );
+
+        if (!worker) return;
+
+        this.getWorkerHealth(worker).trialInFlight = true;
+
+        const startTime = performance.now();
+        this.fetchFromWorker(worker, endpoint, params)
+            .then(() => this.updateWorkerStatus(worker, true, performance.now() - startTime))
+            .catch(error => this.updateWorkerStatus(worker, false, 0, error));
+    }
+
+    /**
+     * Check a single worker on demand with a lightweight suggest request.
+     * Resolves to { success, responseTime, error } and updates its health.
+     */
+    async probeWorker(workerUrl) {
+        const startTime = performance.now();
+
+        try {
+            await this.fetchFromWorker(workerUrl, '/suggest', new URLSearchParams({ q: 'test' }));
+            const responseTime = performance.now() - startTime;
+            this.updateWorkerStatus(workerUrl, true, responseTime);
+            return { success: true, responseTime, error: null };
+        } catch (error) {
+            this.updateWorkerStatus(workerUrl, false, 0, error);
+            return { success: false, responseTime: performance.now() - startTime, error: error.message };
+        }
+    }
+
+    async fetchFromWorker(workerUrl, endpoint, params, signal = null, timeout = this.config.requestTimeout, onPartial = null) {
+        if (signal && signal.aborted) {
+            throw this.createAbortError();
+        }
+
         const url = `${workerUrl}${endpoint}?${params.toString()}`;
         
         console.log('🌐 Fetching from:', url);
 
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.config.requestTimeout);
+        let timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        // A stream stays alive for as long as data keeps arriving
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), timeout);
+        };
+
+        // Let the caller cancel this request as well
+        const abortFromCaller = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', abortFromCaller, { once: true });
+        }
 
         try {
             // Use mode: 'cors' and simplified headers to avoid CORS preflight
@@ -338,71 +1209,119 @@ class SearchController {
                 signal: controller.signal,
                 mode: 'cors',
                 headers: {
-                    'Accept': 'application/json'
+                    'Accept': onPartial && this.config.streamResults
+                        ? 'application/x-ndjson, text/event-stream;q=0.9, application/json;q=0.8'
+                        : 'application/json'
                     // Don't send Content-Type for GET requests to avoid CORS preflight
                 }
             });
 
-            clearTimeout(timeoutId);
-
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
 
-            const data = await response.json();
-            
-            // Validate response structure
-            if (!data || (typeof data === 'object' && Object.keys(data).length === 0)) {
-                throw new Error('Empty response from worker');
+            if (ResultStream.isStream(response.headers.get('Content-Type')) && response.body) {
+                const stream = new ResultStream(endpoint);
+                await stream.read(response, {
+                    onActivity: resetTimeout,
+                    onUpdate: onPartial && (() => {
+                        // A partial view that can't be normalized yet is skipped, not fatal
+                        try {
+                            onPartial(stream.snapshot());
+                        } catch (error) {
+                            console.warn('Skipped streamed update:', error.message);
+                        }
+                    })
+                });
+                return stream.finish();
             }
 
-            return data;
-        } catch (error) {
+            // Rejects empty or malformed payloads so the next worker is tried
+            return ResultNormalizer.normalize(endpoint, await response.json());
+        } finally {
             clearTimeout(timeoutId);
-            throw error;
+            if (signal) signal.removeEventListener('abort', abortFromCaller);
         }
     }
 
-    updateWorkerStatus(workerUrl, success, responseTime = 0) {
-        const health = this.workerHealth.get(workerUrl) || {
-            healthy: true,
-            lastCheck: Date.now(),
-            responseTime: 0,
-            errorCount: 0,
-            successCount: 0
-        };
+    updateWorkerStatus(workerUrl, success, responseTime = 0, error = null) {
+        const health = this.getWorkerHealth(workerUrl);
+
+        health.trialInFlight = false;
+
+        // Offline answers come from the service worker and say nothing about the worker
+        if (!navigator.onLine) return;
 
         health.lastCheck = Date.now();
+
+        // Keep a short latency history for the diagnostics view
+        health.latencyHistory = [
+            ...(health.latencyHistory || []),
+            { time: health.lastCheck, duration: Math.round(responseTime), success }
+        ].slice(-20);
+        
+        if (!success) {
+            health.lastError = {
+                message: error ? error.message || String(error) : 'Request failed',
+                time: health.lastCheck
+            };
+        }
         
         if (success) {
             health.successCount++;
             health.errorCount = Math.max(0, health.errorCount - 1);
+            health.failureStreak = 0;
             health.responseTime = (health.responseTime * 0.7) + (responseTime * 0.3);
             
-            if (health.successCount >= 3) {
-                health.healthy = true;
+            if (health.circuit !== 'closed') {
+                this.closeCircuit(workerUrl, health);
             }
         } else {
             health.errorCount++;
+            health.failureStreak = (health.failureStreak || 0) + 1;
             health.successCount = Math.max(0, health.successCount - 1);
             
-            if (health.errorCount >= 3) {
-                health.healthy = false;
-                console.warn(`Worker ${workerUrl} marked as unhealthy`);
+            // A failed trial re-opens the circuit straight away
+            if (health.circuit !== 'closed' || health.failureStreak >= this.config.circuitFailureThreshold) {
+                this.openCircuit(workerUrl, health);
             }
-            
-            // Auto-recover after 5 minutes
-            setTimeout(() => {
-                const currentHealth = this.workerHealth.get(workerUrl);
-                if (currentHealth && !currentHealth.healthy) {
-                    currentHealth.healthy = true;
-                    currentHealth.errorCount = 0;
-                    console.log(`Worker ${workerUrl} auto-recovered`);
-                }
-            }, 5 * 60 * 1000);
         }
 
-        this.workerHealth.set(workerUrl, health);
+        this.saveWorkerHealth();
+    }
+
+    /**
+     * Current circuit state of a worker. An open circuit turns half-open once
+     * circuitResetTimeout has passed, allowing a single trial request.
+     */
+    getCircuitState(workerUrl) {
+        const health = this.getWorkerHealth(workerUrl);
+
+        if (health.circuit === 'open' && Date.now() - health.openedAt >= this.config.circuitResetTimeout) {
+            health.circuit = 'half-open';
+            health.trialInFlight = false;
+            this.saveWorkerHealth();
+        }
+
+        return health.circuit;
+    }
+
+    openCircuit(workerUrl, health) {
+        if (health.circuit === 'closed') {
+            console.warn(`Worker ${workerUrl} marked as unhealthy`);
+        }
+        health.circuit = 'open';
+        health.openedAt = Date.now();
+        health.healthy = false;
+    }
+
+    closeCircuit(workerUrl, health) {
+        health.circuit = 'closed';
+        health.openedAt = 0;
+        health.errorCount = 0;
+        health.failureStreak = 0;
+        health.healthy = true;
+        console.log(`Worker ${workerUrl} recovered`);
     }
 
     showCorsError() {
@@ -443,8 +1362,13 @@ class SearchController {
             try {
                 this.showLoading();
                 
+                const worker = this.getRoutedWorkers()[0];
+                if (!worker) {
+                    throw new Error('No search workers are enabled');
+                }
+
                 // Construct the URL to fetch via proxy
-                const targetUrl = `${this.workers.primary}/search?q=${encodeURIComponent(this.currentQuery)}&safe=${this.config.safeSearch}&page=${this.currentPage}&ai=${this.config.aiEnabled}`;
+                const targetUrl = `${worker}/search?q=${encodeURIComponent(this.currentQuery)}&safe=${this.config.safeSearch}&page=${this.currentPage}&ai=${this.config.aiEnabled}`;
                 const proxyTarget = proxyUrl + encodeURIComponent(targetUrl);
                 
                 console.log('Using CORS proxy:', proxyTarget);
@@ -454,8 +1378,8 @@ class SearchController {
                 });
                 
                 if (response.ok) {
-                    const data = await response.json();
-                    this.displayWebResults(data.results || data);
+                    const data = ResultNormalizer.normalize('/search', await response.json());
+                    this.displayWebResults(data.results);
                     this.updateSearchStats({...data, proxy: true});
                 } else {
                     throw new Error('Proxy request failed');
@@ -477,7 +1401,7 @@ class SearchController {
             const mockResults = [
                 {
                     title: 'Search Tips',
-                    url: '#',
+                    url: 'https://developer.mozilla.org/en-US/docs/Web/Security/Same-origin_policy',
                     snippet: 'Try deploying to a proper domain to avoid CORS issues. Localhost is restricted by browser security policies.',
                     displayUrl: 'search.tips'
                 },
@@ -499,51 +1423,742 @@ class SearchController {
             if (this.currentQuery.toLowerCase().includes('test') || this.currentQuery.toLowerCase().includes('hello')) {
                 mockResults.push({
                     title: 'Test Result',
-                    url: '#',
+                    url: window.location.href,
                     snippet: 'This is a test result from local search mode.',
                     displayUrl: 'local.test'
                 });
             }
             
+            const response = ResultNormalizer.normalize('/search', { results: mockResults });
+
             setTimeout(() => {
-                this.displayWebResults(mockResults);
-                this.updateSearchStats({
-                    results: mockResults,
-                    timestamp: new Date().toISOString(),
-                    local: true
-                });
+                this.displayWebResults(response.results);
+                this.updateSearchStats({ ...response, local: true });
                 this.hideLoading();
             }, 500);
         }
     }
 
-    processResponse(response) {
+    isCacheEnabled() {
+        return this.config.cacheResults && this.config.cacheDuration > 0;
+    }
+
+    cacheResponse(cacheKey, response) {
+        // Saved results served offline would come back with a misleading age
+        if (!this.isCacheEnabled() || response.offline) return Promise.resolve();
+        return this.resultCache.set(cacheKey, response, this.config.cacheDuration);
+    }
+
+    /**
+     * Refresh a stale cache entry in the background. The fresh results
+     * replace the cached ones only if the user is still on that search.
+     */
+    async revalidateCachedSearch(cacheKey, endpoint, params, signal = null) {
+        try {
+            const response = await this.fetchCoalesced(endpoint, params, signal);
+            if (response.error) return;
+
+            await this.cacheResponse(cacheKey, response);
+
+            if (this.currentCacheKey === cacheKey) {
+                this.processResponse(response);
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('Cache revalidation failed:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Drop every cached search response, including the offline copies
+     */
+    clearCache() {
+        return Promise.all([
+            this.resultCache.clear(),
+            // Same name as SEARCH_CACHE in service-worker.js
+            window.caches ? caches.delete('yoohoo-search-v1') : null
+        ]);
+    }
+
+    /**
+     * Render a NormalizedResponse (see scripts/normalize.js)
+     */
+    processResponse(unsorted) {
+        this.cancelStreamingRender();
+        // Citations refer to the worker's order
+        this.currentResponse = unsorted;
+        const response = this.sortResponse(this.filterResponse(unsorted));
+
+        switch (this.currentCategory) {
+            case 'web':
+                this.displayWebResults(response.results);
+                break;
+            case 'images':
+                this.displayImageResults(response.results);
+                break;
+            case 'videos':
+                this.displayVideoResults(response.results);
+                break;
+            case 'news':
+                this.displayNewsResults(response.results);
+                break;
+            case 'all':
+                this.displayComprehensiveResults(response);
+                break;
+            case 'weather':
+                this.displayWeather(response.weather);
+                break;
+            case 'github':
+                this.displayGithubResults(response.results);
+                break;
+            case 'massive':
+                this.deepSearch.render(response);
+                break;
+            default:
+                this.displayWebResults(response.results);
+        }
+
+        this.updateSearchStats(response);
+        this.renderPagination(response);
+        this.setupInfiniteScroll(response);
+        
+        // Show AI summaries if available
+        if (response.aiSummaries.length > 0) {
+            this.displayAISummaries(response.aiSummaries);
+        }
+
+        if (this.shouldStreamSummary(response)) {
+            this.summaryPanel.show(
+                this.elements.resultsContainer,
+                this.currentQuery,
+                this.currentPage,
+                this.abortController ? this.abortController.signal : null
+            );
+        } else {
+            this.summaryPanel.reset();
+        }
+
+        this.renderCorrection(response);
+        this.renderRelatedSearches(response);
+        this.renderSearchElsewhere();
+    }
+
+    /**
+     * "Did you mean" banner, or "Showing results for" when the worker
+     * already searched for the corrected query
+     */
+    renderCorrection(response) {
+        const container = this.getCurrentResultsContainer();
+        const correction = response.correction;
+        if (!container || !correction || this.exactQuery === this.currentQuery) return;
+
+        const original = correction.original || this.currentQuery;
+        const link = (query) => `<a href="#" data-query="${Utils.sanitizeHTML(query).replace(/"/g, '&quot;')}">${Utils.sanitizeHTML(query)}</a>`;
+
+        const banner = document.createElement('div');
+        banner.className = 'spelling-correction';
+        banner.innerHTML = correction.applied
+            ? `Showing results for <strong>${link(correction.query)}</strong> — search instead for ${link(original)}`
+            : `Did you mean: <strong>${link(correction.query)}</strong>?`;
+
+        banner.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-query]');
+            if (!target) return;
+
+            e.preventDefault();
+            const query = target.dataset.query;
+            if (correction.applied && query === original) {
+                this.exactQuery = query;
+            }
+            this.elements.searchInput.value = query;
+            this.performSearch(query);
+        });
+
+        container.insertBefore(banner, container.firstChild);
+    }
+
+    /**
+     * Related queries from the worker, or earlier searches that share a word
+     */
+    renderRelatedSearches(response) {
+        const element = this.elements.relatedSearches;
+        if (!element) return;
+
+        // Responses cached before related searches existed have none
+        const fromWorker = response.related || [];
+        const related = (fromWorker.length > 0 ? fromWorker : this.getLocalRelatedSearches(this.currentQuery))
+            .filter(query => query.toLowerCase() !== this.currentQuery.toLowerCase());
+
+        element.querySelector('.related-tags').innerHTML = related.map(query => `
+            <a href="#" class="related-tag" data-query="${Utils.sanitizeHTML(query).replace(/"/g, '&quot;')}">
+                <i class="fas fa-search"></i> ${Utils.sanitizeHTML(query)}
+            </a>
+        `).join('');
+        element.classList.toggle('hidden', related.length === 0);
+    }
+
+    /**
+     * Links that run the same query on the engines bangs know about
+     */
+    renderSearchElsewhere() {
+        const element = this.elements.searchElsewhere;
+        if (!element) return;
+
+        element.innerHTML = `
+            <span>Try this query on</span>
+            ${Bangs.getEngines().map(engine => `
+                <a href="${Utils.sanitizeHTML(Bangs.buildURL(engine.url, this.currentQuery))}" target="_blank" rel="noopener noreferrer"
+                   title="Or type !${engine.bangs[0]} in the search box">
+                    ${Utils.sanitizeHTML(engine.name)}
+                </a>
+            `).join('')}
+        `;
+        element.classList.remove('hidden');
+    }
+
+    getLocalRelatedSearches(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(word => word.length > 2);
+        if (words.length === 0) return [];
+
+        const matches = this.searchHistory
+            .map(entry => entry.query)
+            .filter(past => {
+                const lower = past.toLowerCase();
+                return lower !== query.toLowerCase() && words.some(word => lower.includes(word));
+            });
+
+        return [...new Set(matches)].slice(0, 8);
+    }
+
+    static getSortModes() {
+        return {
+            relevance: 'Relevance',
+            date: 'Newest first',
+            score: 'Highest score',
+            domain: 'Domain (A–Z)'
+        };
+    }
+
+    getSortMode(category = this.currentCategory) {
+        const mode = this.config.sortModes[category];
+        return SearchController.getSortModes()[mode] ? mode : 'relevance';
+    }
+
+    isWorkerSorted(category) {
+        return ['news', 'videos'].includes(category);
+    }
+
+    /**
+     * Change the sort for the current category. Dated categories ask the
+     * worker again; the rest re-order the results already on screen.
+     */
+    setSortMode(mode, rerender = true) {
+        if (!SearchController.getSortModes()[mode]) return;
+
+        const previous = this.getSortMode();
+        if (mode === 'relevance') {
+            delete this.config.sortModes[this.currentCategory];
+        } else {
+            this.config.sortModes[this.currentCategory] = mode;
+        }
+        this.saveConfig();
+        this.updateSortButton();
+
+        if (!rerender || mode === previous || !this.currentQuery) return;
+
+        const workerSorted = this.isWorkerSorted(this.currentCategory) && (mode === 'date' || previous === 'date');
+        if (workerSorted || !this.currentResponse || this.isSearching) {
+            this.performSearch(this.currentQuery);
+        } else {
+            this.processResponse(this.currentResponse);
+            this.updateURL(true);
+        }
+    }
+
+    updateSortButton() {
+        if (!this.elements.sortButton) return;
+
+        const mode = this.getSortMode();
+        this.elements.sortButton.querySelector('span').textContent =
+            mode === 'relevance' ? 'Sort' : SearchController.getSortModes()[mode];
+        this.elements.sortButton.classList.toggle('active', mode !== 'relevance');
+
+        if (this.elements.sortMenu) {
+            this.elements.sortMenu.querySelectorAll('[data-sort]').forEach(option => {
+                option.classList.toggle('active', option.dataset.sort === mode);
+            });
+        }
+    }
+
+    /**
+     * Per-query engine picker in the results header; web searches only
+     */
+    renderEngineSelect() {
+        const select = this.elements.engineSelect;
+        if (!select) return;
+
+        if (select.options.length === 0) {
+            select.innerHTML = SettingsManager.getAvailableSearchEngines().map(engine => `
+                <option value="${engine.id}">${Utils.sanitizeHTML(engine.name)}</option>
+            `).join('');
+        }
+        select.value = this.engineOverride || this.config.searchEngine;
+        select.closest('.engine-picker').classList.toggle('hidden', this.currentCategory !== 'web');
+    }
+
+    /**
+     * Sorted copy of the main results; relevance keeps the worker's order
+     */
+    sortResults(results, mode = this.getSortMode()) {
+        if (mode === 'relevance') return results;
+
+        const keyed = results.map(result => ({ result, value: this.getSortValue(result, mode) }));
+        // Newest and highest first; results without a value stay at the end in worker order
+        const order = mode === 'domain' ? 'asc' : 'desc';
+        return Utils.sortBy(keyed, 'value', order).map(({ result }) => result);
+    }
+
+    getSortValue(result, mode) {
+        switch (mode) {
+            case 'date':
+                return result.publishedAt || result.updatedAt || '';
+            case 'score': {
+                const score = result.score !== undefined ? result.score : result.stars;
+                return typeof score === 'number' ? score : -1;
+            }
+            case 'domain':
+                // "~" sorts after every hostname character
+                return result.domain || Utils.extractDomain(result.url) || '~';
+            default:
+                return 0;
+        }
+    }
+
+    sortResponse(response) {
+        if (this.getSortMode() === 'relevance' || !Array.isArray(response.results)) return response;
+
+        const results = this.sortResults(response.results);
+        const section = response.category === 'all' ? 'web' : response.category;
+
+        return {
+            ...response,
+            results,
+            sections: response.sections[section] ? { ...response.sections, [section]: results } : response.sections
+        };
+    }
+
+    shouldStreamSummary(response) {
+        return this.config.aiEnabled &&
+            this.config.streamSummaries &&
+            this.currentCategory === 'web' &&
+            navigator.onLine &&
+            !response.local &&
+            response.results.length > 0;
+    }
+
+    /**
+     * Render streamed snapshots at most once per frame
+     */
+    queueStreamingRender(snapshot) {
+        this.streamingSnapshot = snapshot;
+        if (this.streamingFrame) return;
+
+        this.streamingFrame = requestAnimationFrame(() => {
+            this.streamingFrame = null;
+            this.renderStreamingResults(this.streamingSnapshot);
+        });
+    }
+
+    cancelStreamingRender() {
+        if (this.streamingFrame) {
+            cancelAnimationFrame(this.streamingFrame);
+            this.streamingFrame = null;
+        }
+        this.streamingSnapshot = null;
+    }
+
+    renderStreamingResults(snapshot) {
+        const response = this.filterResponse(snapshot);
+        this.updateSearchStats(response);
+
+        // Deep search shows source progress before any result arrives
+        const received = Object.values(response.sections).reduce((sum, items) => sum + items.length, 0);
+        if (received === 0 && !response.weather && this.currentCategory !== 'massive') return;
+
+        switch (this.currentCategory) {
+            case 'images':
+                this.displayImageResults(response.results);
+                break;
+            case 'videos':
+                this.displayVideoResults(response.results);
+                break;
+            case 'news':
+                this.displayNewsResults(response.results);
+                break;
+            case 'all':
+                this.displayComprehensiveResults(response);
+                break;
+            case 'weather':
+                this.displayWeather(response.weather);
+                break;
+            case 'github':
+                this.displayGithubResults(response.results);
+                break;
+            case 'massive':
+                this.deepSearch.update(response);
+                break;
+            default:
+                this.displayStreamingWebResults(response);
+        }
+    }
+
+    /**
+     * Web results grouped by the provider that returned them first
+     */
+    displayStreamingWebResults(response) {
+        const container = this.elements.resultsContainer;
+        const groups = new Map();
+        const { visible, hidden } = this.rankingRules.apply(response.results);
+
+        visible.forEach(result => {
+            const provider = result.source.split(', ')[0] || 'Other';
+            if (!groups.has(provider)) groups.set(provider, []);
+            groups.get(provider).push(result);
+        });
+
+        container.innerHTML = `
+            <div class="stream-status">
+                <i class="fas fa-spinner fa-spin"></i>
+                ${response.streaming.providers.map(provider => `
+                    <span class="stream-provider">${Utils.sanitizeHTML(provider.name)} <strong>${provider.count}</strong></span>
+                `).join('')}
+            </div>
+        `;
+
+        let index = 0;
+        groups.forEach((results, provider) => {
+            const group = document.createElement('div');
+            group.className = 'provider-group';
+            group.innerHTML = `<h4 class="provider-group-title">${Utils.sanitizeHTML(provider)}</h4>`;
+
+            results.forEach(result => {
+                group.appendChild(this.createResultElement(result, index++));
+            });
+            container.appendChild(group);
+        });
+
+        if (hidden.length > 0) {
+            container.appendChild(this.rankingRules.createHiddenNote(
+                hidden, (result, i) => this.createResultElement(result, i), visible.length
+            ));
+        }
+    }
+
+    getPaginationContainer() {
+        // Infinite scroll replaces the page controls
+        if (this.isInfiniteScrollCategory(this.currentCategory)) return null;
+
+        switch (this.currentCategory) {
+            case 'web': case 'github':
+                return this.elements.resultsPagination;
+            case 'videos':
+                return this.elements.videosPagination;
+            case 'news':
+                return this.elements.newsPagination;
+            default:
+                return null;
+        }
+    }
+
+    clearPagination() {
+        [this.elements.resultsPagination, this.elements.videosPagination, this.elements.newsPagination]
+            .filter(Boolean)
+            .forEach(container => { container.innerHTML = ''; });
+        this.totalPages = 0;
+    }
+
+    /**
+     * Page count for a response. Workers that don't report one get an
+     * estimate from the result total, capped at config.maxPages.
+     */
+    getTotalPages(response, page = this.currentPage) {
+        const { totalPages, hasMore } = response.pagination;
+        if (totalPages) return Math.max(totalPages, page);
+
+        if (hasMore === false || response.results.length === 0) {
+            return page;
+        }
+
+        const estimated = Math.min(
+            Math.ceil(response.stats.total / this.config.resultsPerPage),
+            this.config.maxPages
+        );
+
+        // A full page usually means there is another one
+        const fullPage = hasMore === true || response.results.length >= this.config.resultsPerPage;
+        return Math.max(estimated, fullPage ? page + 1 : page);
+    }
+
+    renderPagination(response) {
+        this.clearPagination();
+
+        const container = this.getPaginationContainer();
+        if (!container) return;
+
+        const total = this.getTotalPages(response);
+        const current = this.currentPage;
+        this.totalPages = total;
+
+        if (total <= 1) return;
+
+        const pages = Utils.generatePagination(current, total);
+
+        container.innerHTML = `
+            <button class="page-btn ${current === 1 ? 'disabled' : ''}" data-page="${current - 1}"
+                    aria-label="Previous page" title="Previous page (p)" ${current === 1 ? 'disabled' : ''}>
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            ${pages.map(page => page === '...'
+                ? '<span class="pagination-ellipsis">...</span>'
+                : `<button class="page-btn ${page === current ? 'active' : ''}" data-page="${page}"
+                           ${page === current ? 'aria-current="page"' : ''}>${page}</button>`
+            ).join('')}
+            <button class="page-btn ${current === total ? 'disabled' : ''}" data-page="${current + 1}"
+                    aria-label="Next page" title="Next page (n)" ${current === total ? 'disabled' : ''}>
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        `;
+    }
+
+    isInfiniteScrollCategory(category) {
+        return this.config.infiniteScroll && ['images', 'videos', 'news'].includes(category);
+    }
+
+    /**
+     * Start loading further pages when the user nears the end of the results
+     */
+    setupInfiniteScroll(response) {
+        this.teardownInfiniteScroll();
+
+        const container = this.getCurrentResultsContainer();
+        if (!this.isInfiniteScrollCategory(this.currentCategory) || !container || response.results.length === 0) {
+            return;
+        }
+
+        const sentinel = document.createElement('div');
+        sentinel.className = 'scroll-sentinel';
+        container.after(sentinel);
+
+        const state = {
+            category: this.currentCategory,
+            query: this.currentQuery,
+            firstPage: this.currentPage,
+            page: this.currentPage,
+            hasMore: this.getTotalPages(response) > this.currentPage,
+            // Results of the pages added since, for re-rendering
+            loaded: [],
+            loading: null,
+            failed: false,
+            signal: this.abortController ? this.abortController.signal : null,
+            sentinel,
+            observer: null
+        };
+
+        state.observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadNextPage();
+            }
+        }, { rootMargin: '600px 0px' });
+
+        sentinel.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="retry"]')) {
+                state.failed = false;
+                this.loadNextPage();
+            }
+        });
+
+        this.infiniteScroll = state;
+        this.renderScrollSentinel();
+        if (state.hasMore) {
+            state.observer.observe(sentinel);
+        }
+    }
+
+    teardownInfiniteScroll() {
+        if (!this.infiniteScroll) return;
+
+        this.infiniteScroll.observer.disconnect();
+        this.infiniteScroll.sentinel.remove();
+        this.infiniteScroll = null;
+    }
+
+    renderScrollSentinel() {
+        const state = this.infiniteScroll;
+        if (!state) return;
+
+        if (state.loading) {
+            state.sentinel.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading more...';
+        } else if (state.failed) {
+            state.sentinel.innerHTML = `
+                <span>Couldn't load more results.</span>
+                <button class="btn-secondary" data-action="retry"><i class="fas fa-redo"></i> Retry</button>
+            `;
+        } else if (!state.hasMore) {
+            state.sentinel.innerHTML = '<div class="end-of-results">End of results</div>';
+        } else {
+            state.sentinel.innerHTML = '';
+        }
+    }
+
+    /**
+     * Fetch and append the next worker page. Resolves once it is rendered;
+     * concurrent calls share the request in progress.
+     */
+    loadNextPage() {
+        const state = this.infiniteScroll;
+        if (!state || !state.hasMore || state.failed) return Promise.resolve();
+        if (state.loading) return state.loading;
+
+        const page = state.page + 1;
+
+        state.loading = this.fetchPage(state.query, page, state.signal)
+            .then(response => {
+                if (this.infiniteScroll !== state) return;
+
+                const items = this.sortResults(this.filterResults(response.results));
+                this.appendResults(items);
+                state.loaded.push(...items);
+                state.page = page;
+                state.hasMore = response.results.length > 0 && this.getTotalPages(response, page) > page;
+            })
+            .catch(error => {
+                if (error.name === 'AbortError' || this.infiniteScroll !== state) return;
+                console.warn('Failed to load more results:', error.message);
+                state.failed = true;
+            })
+            .finally(() => {
+                if (this.infiniteScroll !== state) return;
+
+                state.loading = null;
+                this.renderScrollSentinel();
+
+                // Re-observe so a sentinel that is still on screen triggers again
+                state.observer.unobserve(state.sentinel);
+                if (state.hasMore && !state.failed) {
+                    state.observer.observe(state.sentinel);
+                }
+            });
+
+        this.renderScrollSentinel();
+        return state.loading;
+    }
+
+    /**
+     * Fetch one page for the current category, from the cache when possible
+     */
+    async fetchPage(query, page, signal = null) {
+        const cacheKey = this.getCacheKey(query, page);
+
+        if (this.isCacheEnabled()) {
+            const cached = await this.resultCache.get(cacheKey, this.config.cacheDuration);
+            if (cached) return cached.response;
+        }
+
+        const engine = this.getExternalEngine();
+        const response = engine
+            ? await this.fetchFromEngine(engine, query, page, signal)
+            : await this.fetchCoalesced(this.getEndpoint(this.currentCategory), this.buildSearchParams(query, page), signal);
+        if (response.error) {
+            throw new Error(response.error);
+        }
+
+        this.cacheResponse(cacheKey, response);
+        return response;
+    }
+
+    /**
+     * Render the current results again, e.g. after the ranking rules
+     * changed, keeping the pages infinite scroll already added
+     */
+    rerenderResults() {
+        if (!this.currentResponse) return;
+
+        const previous = this.infiniteScroll;
+        this.processResponse(this.currentResponse);
+
+        const state = this.infiniteScroll;
+        if (previous && state && previous.loaded.length > 0) {
+            this.appendResults(previous.loaded);
+            state.loaded = previous.loaded;
+            state.page = previous.page;
+            state.hasMore = previous.hasMore;
+            this.renderScrollSentinel();
+        }
+    }
+
+    appendResults(items) {
+        const container = this.getCurrentResultsContainer();
+
         switch (this.currentCategory) {
-            case 'web':
-                this.displayWebResults(response.results || response);
-                break;
-            case 'images':
-                this.displayImageResults(response.results || response);
+            case 'images': {
+                const grid = container.querySelector('.image-grid');
+                const offset = grid.children.length;
+                items.forEach((image, index) => {
+                    grid.appendChild(this.createImageElement(image, offset + index));
+                });
                 break;
+            }
             case 'videos':
-                this.displayVideoResults(response.results || response);
-                break;
-            case 'news':
-                this.displayNewsResults(response.results || response);
-                break;
-            case 'all':
-                this.displayComprehensiveResults(response);
+            case 'news': {
+                // Later pages go above the hidden-results note and drop
+                // blocked results without adding to it
+                const note = container.querySelector('.ranking-hidden');
+                const offset = container.children.length - (note ? 1 : 0);
+                const create = this.currentCategory === 'videos'
+                    ? (video, index) => this.createVideoElement(video, index)
+                    : (article, index) => this.createNewsElement(article, index);
+
+                this.rankingRules.apply(items).visible.forEach((item, index) => {
+                    container.insertBefore(create(item, offset + index), note);
+                });
                 break;
-            default:
-                this.displayWebResults(response.results || response);
+            }
         }
+    }
 
-        this.updateSearchStats(response);
-        
-        // Show AI summaries if available
-        if (response.aiSummaries) {
-            this.displayAISummaries(response.aiSummaries);
+    /**
+     * Store the scroll position and the number of loaded pages in the
+     * current history entry so back/forward can bring the user back there
+     */
+    saveScrollState() {
+        const state = window.history.state;
+        if (!state || !state.query) return;
+
+        window.history.replaceState({
+            ...state,
+            scroll: {
+                y: window.scrollY,
+                pages: this.infiniteScroll ? this.infiniteScroll.page - this.infiniteScroll.firstPage + 1 : 1
+            }
+        }, '');
+    }
+
+    async restoreScrollPosition(scroll) {
+        for (let loaded = 1; loaded < scroll.pages; loaded++) {
+            if (!this.infiniteScroll || !this.infiniteScroll.hasMore) break;
+            await this.loadNextPage();
         }
+
+        window.scrollTo(0, scroll.y || 0);
+    }
+
+    goToPage(page) {
+        if (!this.currentQuery || page < 1 || page === this.currentPage) return;
+        if (this.totalPages && page > this.totalPages) return;
+
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        this.performSearch(this.currentQuery, { page });
     }
 
     showSection(section) {
@@ -556,9 +2171,6 @@ class SearchController {
 
         // Show the requested section
         switch (section) {
-            case 'results':
-                this.elements.resultsSection.classList.remove('hidden');
-                break;
             case 'images':
                 this.elements.imagesSection.classList.remove('hidden');
                 break;
@@ -568,6 +2180,22 @@ class SearchController {
             case 'news':
                 this.elements.newsSection.classList.remove('hidden');
                 break;
+            default:
+                // web, all and the other categories render into the main results
+                this.elements.resultsSection.classList.remove('hidden');
+        }
+
+        // Filter and sort tools follow the visible section
+        const visible = [this.elements.imagesSection, this.elements.videosSection, this.elements.newsSection, this.elements.resultsSection]
+            .find(element => !element.classList.contains('hidden'));
+        const header = visible.querySelector('.results-header');
+        if (header && this.elements.resultsTools) {
+            header.appendChild(this.elements.resultsTools);
+            if (this.elements.activeFilters) header.after(this.elements.activeFilters);
+        }
+        // So do the links to other engines, at the bottom
+        if (this.elements.searchElsewhere) {
+            (visible.querySelector('.results-container') || visible).appendChild(this.elements.searchElsewhere);
         }
     }
 
@@ -578,19 +2206,132 @@ class SearchController {
         document.querySelectorAll('.category-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.category === category);
         });
+        this.updateSortButton();
+        this.renderEngineSelect();
 
         // Update search placeholder
         const placeholders = {
+            all: 'Search everything...',
             web: 'Search the web...',
             images: 'Search for images...',
             videos: 'Search for videos...',
-            news: 'Search for news...'
+            news: 'Search for news...',
+            weather: 'Search weather for a place...',
+            github: 'Search repositories and code...',
+            massive: 'Deep search across every source...'
         };
 
         this.elements.searchInput.placeholder = placeholders[category] || 'Search...';
     }
 
+    /**
+     * Chips for the operators in the search box; plain words aren't shown
+     */
+    renderQueryChips(parsed = QueryParser.parse(this.elements.searchInput.value)) {
+        const chips = this.elements.queryChips;
+        if (!chips) return;
+
+        const operators = parsed.tokens.filter(token => token.type !== 'term');
+
+        chips.innerHTML = operators.map(token => `
+            <span class="query-chip query-chip-${token.type}" data-token="${token.start}">
+                <button type="button" class="query-chip-label" data-action="edit" title="Edit">
+                    ${Utils.sanitizeHTML(QueryParser.describe(token))}
+                </button>
+                <button type="button" data-action="remove" title="Remove" aria-label="Remove ${Utils.sanitizeHTML(token.raw)}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </span>
+        `).join('');
+        chips.classList.toggle('hidden', operators.length === 0);
+
+        if (this.elements.queryHint) {
+            this.elements.queryHint.innerHTML = parsed.errors.map(error => `
+                <div><i class="fas fa-exclamation-circle"></i> ${Utils.sanitizeHTML(error.message)}</div>
+            `).join('');
+            this.elements.queryHint.classList.toggle('hidden', parsed.errors.length === 0);
+        }
+    }
+
+    /**
+     * The search box lives on the start page, so a hint for a search started
+     * from the results page is shown above the results as well
+     */
+    showQueryHint(parsed) {
+        const container = this.getCurrentResultsContainer();
+        if (!container || !this.elements.heroSection.classList.contains('hidden')) return;
+
+        container.querySelectorAll('.query-hint').forEach(hint => hint.remove());
+        const hint = document.createElement('div');
+        hint.className = 'query-hint';
+        hint.innerHTML = parsed.errors.map(error => `
+            <div><i class="fas fa-exclamation-circle"></i> ${Utils.sanitizeHTML(error.message)}</div>
+        `).join('');
+        container.insertBefore(hint, container.firstChild);
+    }
+
+    handleQueryChipClick(e) {
+        const action = e.target.closest('[data-action]');
+        const chip = e.target.closest('[data-token]');
+        if (!action || !chip) return;
+
+        const input = this.elements.searchInput;
+        // Looked up by offset, so a chip left over from an older query can't edit the wrong operator
+        const start = parseInt(chip.dataset.token, 10);
+        const token = QueryParser.parse(input.value).tokens.find(t => t.start === start && t.type !== 'term');
+        if (!token) return;
+
+        if (action.dataset.action === 'remove') {
+            input.value = QueryParser.replaceToken(input.value, token, '');
+            this.renderQueryChips();
+            return;
+        }
+
+        // Edit the operator as typed, in place of the chip
+        const editor = document.createElement('input');
+        editor.type = 'text';
+        editor.className = 'query-chip-input';
+        editor.value = token.raw;
+        chip.replaceWith(editor);
+        editor.focus();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save) {
+                input.value = QueryParser.replaceToken(input.value, token, editor.value.trim());
+            }
+            this.renderQueryChips();
+        };
+
+        editor.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                finish(true);
+            } else if (event.key === 'Escape') {
+                finish(false);
+            }
+        });
+        editor.addEventListener('blur', () => finish(true));
+    }
+
+    updateOfflineBanner() {
+        if (this.elements.offlineBanner) {
+            this.elements.offlineBanner.classList.toggle('hidden', navigator.onLine);
+        }
+    }
+
     showLoading() {
+        this.clearPagination();
+        this.teardownInfiniteScroll();
+        if (this.elements.relatedSearches) {
+            this.elements.relatedSearches.classList.add('hidden');
+        }
+        if (this.elements.searchElsewhere) {
+            this.elements.searchElsewhere.classList.add('hidden');
+        }
+
         const container = this.getCurrentResultsContainer();
         if (container) {
             container.innerHTML = `
@@ -672,34 +2413,45 @@ class SearchController {
         // Remove existing suggestions
         this.removeSuggestions();
 
+        // Only the latest keystroke's suggestions matter
+        this.cancelSuggestions();
+        const controller = new AbortController();
+        this.suggestionController = controller;
+
         try {
-            const suggestions = await this.fetchSuggestions(query);
+            const suggestions = await this.fetchSuggestions(query, controller.signal);
             if (suggestions.length > 0) {
                 this.displaySuggestions(suggestions);
             }
         } catch (error) {
-            console.log('Suggestions fetch failed:', error);
+            if (error.name !== 'AbortError') {
+                console.log('Suggestions fetch failed:', error);
+            }
+        } finally {
+            if (this.suggestionController === controller) {
+                this.suggestionController = null;
+            }
+        }
+    }
+
+    cancelSuggestions() {
+        if (this.suggestionController) {
+            this.suggestionController.abort();
+            this.suggestionController = null;
         }
     }
 
-    async fetchSuggestions(query) {
+    async fetchSuggestions(query, signal = null) {
         // Try worker first
-        const workers = [this.workers.primary, ...this.workers.fallbacks];
+        const workers = this.getRoutedWorkers();
+        const params = new URLSearchParams({ q: query });
         
         for (const worker of workers) {
             try {
-                const response = await fetch(`${worker}/suggest?q=${encodeURIComponent(query)}`, {
-                    signal: AbortSignal.timeout(2000),
-                    mode: 'cors'
-                });
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    if (data.suggestions) {
-                        return data.suggestions.slice(0, 8);
-                    }
-                }
+                const data = await this.fetchFromWorker(worker, '/suggest', params, signal, 2000);
+                return data.suggestions.slice(0, 8);
             } catch (error) {
+                if (signal && signal.aborted) throw error;
                 continue;
             }
         }
@@ -773,36 +2525,78 @@ class SearchController {
         });
     }
 
-    updateURL() {
+    updateURL(replace = false) {
         const url = new URL(window.location);
         url.searchParams.set('q', this.currentQuery);
         url.searchParams.set('cat', this.currentCategory);
         url.searchParams.set('page', this.currentPage);
+        this.filters.writeToURL(url);
+
+        const sort = this.getSortMode();
+        if (sort === 'relevance') {
+            url.searchParams.delete('sort');
+        } else {
+            url.searchParams.set('sort', sort);
+        }
+
+        if (this.engineOverride) {
+            url.searchParams.set('engine', this.engineOverride);
+        } else {
+            url.searchParams.delete('engine');
+        }
         
-        window.history.pushState({
+        const state = {
             query: this.currentQuery,
             category: this.currentCategory,
-            page: this.currentPage
-        }, '', url);
+            page: this.currentPage,
+            filters: this.filters.getState(),
+            sort,
+            engine: this.engineOverride
+        };
+
+        if (replace) {
+            window.history.replaceState(state, '', url);
+        } else {
+            // Keep the position on the entry being left for back navigation
+            this.saveScrollState();
+            window.history.pushState(state, '', url);
+        }
     }
 
     restoreSearch() {
         const urlParams = new URLSearchParams(window.location.search);
         const query = urlParams.get('q');
         const category = urlParams.get('cat') || 'web';
+        const page = Math.max(1, parseInt(urlParams.get('page'), 10) || 1);
         
         if (query) {
+            // A reload keeps the history entry, and with it the saved scroll position
+            const state = window.history.state;
+            const scroll = state && state.query === query ? state.scroll : null;
+
             this.elements.searchInput.value = query;
             this.switchCategory(category);
-            this.performSearch();
+            this.filters.readFromURL(urlParams);
+            if (urlParams.has('sort')) {
+                this.setSortMode(urlParams.get('sort'), false);
+            }
+            this.performSearch(query, { page, history: 'replace', scroll, engine: urlParams.get('engine') || '' });
         }
     }
 
     restoreSearchFromState(state) {
         this.elements.searchInput.value = state.query;
         this.switchCategory(state.category);
-        this.currentPage = state.page || 1;
-        this.performSearch(state.query);
+        this.filters.setState(state.filters);
+        if (state.sort) {
+            this.setSortMode(state.sort, false);
+        }
+        this.performSearch(state.query, {
+            page: state.page || 1,
+            history: 'none',
+            scroll: state.scroll || null,
+            engine: state.engine || ''
+        });
     }
 
     addToHistory(query) {
@@ -826,33 +2620,90 @@ class SearchController {
     applySettings(settings) {
         if (settings.search) {
             this.config.workerUrl = settings.search.workerUrl || this.config.workerUrl;
+            if (Array.isArray(settings.search.workers)) {
+                this.setWorkerPool(settings.search.workers);
+            } else if (settings.search.workerUrl) {
+                this.setWorkerPool(this.withPrimaryWorker(settings.search.workerUrl));
+            }
             this.config.safeSearch = settings.search.safeSearch;
             this.config.resultsPerPage = settings.search.resultsPerPage;
             this.config.searchProvider = settings.search.searchProvider;
             this.config.useWorkerFallback = settings.search.useWorkerFallback !== false;
+            this.config.hedgeRequests = settings.search.hedgeRequests === true;
+            this.config.streamResults = settings.search.streamResults !== false;
+            this.config.streamSummaries = settings.search.streamSummaries !== false;
+            this.config.infiniteScroll = settings.search.infiniteScroll === true;
+            this.config.customBangs = Array.isArray(settings.search.customBangs) ? settings.search.customBangs : [];
+            this.config.searchEngine = settings.search.searchEngine || 'worker';
+            this.config.engineApis = Utils.isObject(settings.search.engineApis) ? settings.search.engineApis : {};
+            this.renderEngineSelect();
         }
         
         if (settings.general) {
             this.config.language = settings.general.language;
+
+            // A new region brings back its own temperature unit
+            const region = settings.general.region || 'us';
+            if (region !== this.config.region) {
+                this.config.temperatureUnit = null;
+            }
+            this.config.region = region;
         }
         
         if (settings.advanced) {
             this.config.maxRetries = settings.advanced.maxRetries || 3;
             this.config.requestTimeout = settings.advanced.requestTimeout || 15000;
+            this.config.circuitFailureThreshold = settings.advanced.circuitFailureThreshold || 3;
+            // Settings store the reset timeout in seconds
+            this.config.circuitResetTimeout = (settings.advanced.circuitResetTimeout || 60) * 1000;
+            this.config.cacheResults = settings.advanced.cacheResults !== false;
+            // Settings store the duration in minutes
+            this.config.cacheDuration = settings.advanced.cacheDuration >= 0
+                ? settings.advanced.cacheDuration * 60000
+                : 3600000;
         }
         
         this.saveConfig();
     }
 
+    openDiagnostics() {
+        if (!this.diagnostics) {
+            this.diagnostics = new WorkerDiagnostics(this);
+        }
+        this.diagnostics.open();
+    }
+
     retrySearch() {
         if (this.currentQuery) {
-            this.performSearch();
+            this.performSearch(this.currentQuery, { page: this.currentPage, history: 'replace' });
         }
     }
 
     // Utility methods
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    delay(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(this.createAbortError());
+            };
+            const timeoutId = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    createAbortError() {
+        return new DOMException('Search was cancelled', 'AbortError');
     }
 
     getCurrentResultsContainer() {
@@ -880,10 +2731,17 @@ class SearchController {
             return;
         }
 
-        results.forEach((result, index) => {
+        const { visible, hidden } = this.rankingRules.apply(results);
+        visible.forEach((result, index) => {
             const resultElement = this.createResultElement(result, index);
             container.appendChild(resultElement);
         });
+
+        if (hidden.length > 0) {
+            container.appendChild(this.rankingRules.createHiddenNote(
+                hidden, (result, index) => this.createResultElement(result, index), visible.length
+            ));
+        }
     }
 
     createResultElement(result, index) {
@@ -891,9 +2749,9 @@ class SearchController {
         div.className = 'result-item';
         div.dataset.index = index;
 
-        const domain = result.displayUrl || this.extractDomain(result.url);
-        const favicon = `https://www.google.com/s2/favicons?domain=${domain}&sz=32`;
-        const aiSummary = result.aiSummary || '';
+        const domain = result.displayUrl || result.domain;
+        const favicon = `https://www.google.com/s2/favicons?domain=${result.domain}&sz=32`;
+        const aiSummary = result.aiSummary;
         
         div.innerHTML = `
             <div class="result-content">
@@ -901,26 +2759,46 @@ class SearchController {
                     <img src="${favicon}" alt="${domain}" class="result-favicon" onerror="this.src='https://www.google.com/s2/favicons?domain=google.com&sz=32'">
                     <div class="result-source">
                         <span class="result-domain">${domain}</span>
-                        ${result.source ? `<span class="result-provider">${result.source}</span>` : ''}
+                        ${result.source.split(', ').filter(Boolean).map(provider => `<span class="result-provider">${provider}</span>`).join('')}
                     </div>
+                    ${this.rankingRules.renderButton(result.domain)}
                 </div>
                 <h3 class="result-title">
                     <a href="${result.url}" target="_blank" rel="noopener noreferrer">
-                        ${result.title || 'No title'}
+                        ${result.title}
                     </a>
                 </h3>
                 ${aiSummary ? `<div class="ai-summary">🤖 ${aiSummary}</div>` : ''}
-                <p class="result-snippet">${result.snippet || result.description || ''}</p>
+                <p class="result-snippet">${result.snippet}</p>
                 <div class="result-meta">
                     <span class="result-url">${this.shortenUrl(result.url)}</span>
-                    ${result.score ? `<span class="result-score">${Math.round(result.score)}%</span>` : ''}
+                    ${result.score !== null ? `<span class="result-score">${Math.round(result.score)}%</span>` : ''}
                 </div>
+                ${this.renderSourceUrls(result)}
             </div>
         `;
 
         return div;
     }
 
+    /**
+     * Every URL a merged result came back under
+     */
+    renderSourceUrls(result) {
+        // Cached responses from before merging have no sourceUrls
+        const urls = result.sourceUrls || [];
+        if (urls.length < 2) return '';
+
+        return `
+            <details class="result-source-urls">
+                <summary>Found at ${urls.length} URLs</summary>
+                ${urls.map(url => `
+                    <a href="${Utils.sanitizeHTML(url)}" target="_blank" rel="noopener noreferrer">${Utils.sanitizeHTML(this.shortenUrl(url, 80))}</a>
+                `).join('')}
+            </details>
+        `;
+    }
+
     displayImageResults(images) {
         const container = this.elements.imagesContainer;
         container.innerHTML = '';
@@ -946,10 +2824,8 @@ class SearchController {
         div.className = 'image-item';
         div.dataset.index = index;
 
-        const title = image.title || 'Image';
-        const thumbnail = image.thumbnail || image.image || '';
-        const sourceUrl = image.source || image.url || '#';
-        const provider = image.provider || '';
+        const { title, thumbnail, provider } = image;
+        const sourceUrl = image.url;
 
         div.innerHTML = `
             <a href="${sourceUrl}" target="_blank" rel="noopener noreferrer" class="image-link">
@@ -975,10 +2851,17 @@ class SearchController {
             return;
         }
 
-        videos.slice(0, 50).forEach((video, index) => {
+        const { visible, hidden } = this.rankingRules.apply(videos);
+        visible.slice(0, 50).forEach((video, index) => {
             const videoElement = this.createVideoElement(video, index);
             container.appendChild(videoElement);
         });
+
+        if (hidden.length > 0) {
+            container.appendChild(this.rankingRules.createHiddenNote(
+                hidden, (video, index) => this.createVideoElement(video, index), visible.length
+            ));
+        }
     }
 
     createVideoElement(video, index) {
@@ -986,10 +2869,10 @@ class SearchController {
         div.className = 'video-item';
         div.dataset.index = index;
 
-        const thumbnail = video.thumbnail || '';
-        const duration = video.durationFormatted || this.formatDuration(video.duration);
-        const views = video.viewsFormatted || this.formatNumber(video.views);
-        const published = video.publishedFormatted || this.formatRelativeTime(video.publishedAt);
+        const thumbnail = video.thumbnail;
+        const duration = video.durationText || this.formatDuration(video.duration);
+        const views = video.viewsText || (video.views !== null ? this.formatNumber(video.views) : '');
+        const published = video.publishedText || this.formatRelativeTime(video.publishedAt);
 
         div.innerHTML = `
             <div class="video-content">
@@ -1005,15 +2888,17 @@ class SearchController {
                 <div class="video-details">
                     <h3 class="video-title">
                         <a href="${video.url}" target="_blank" rel="noopener noreferrer">
-                            ${video.title || 'No title'}
+                            ${video.title}
                         </a>
                     </h3>
                     <div class="video-meta">
                         ${views ? `<span class="video-views"><i class="fas fa-eye"></i> ${views}</span>` : ''}
                         ${published ? `<span class="video-date"><i class="far fa-clock"></i> ${published}</span>` : ''}
+                        ${this.rankingRules.renderButton(Utils.extractDomain(video.url))}
                     </div>
                     ${video.author ? `<div class="video-author"><i class="fas fa-user"></i> ${video.author}</div>` : ''}
                     ${video.description ? `<p class="video-description">${this.truncateText(video.description, 120)}</p>` : ''}
+                    ${this.renderSourceUrls(video)}
                 </div>
             </div>
         `;
@@ -1030,10 +2915,17 @@ class SearchController {
             return;
         }
 
-        news.slice(0, 30).forEach((article, index) => {
+        const { visible, hidden } = this.rankingRules.apply(news);
+        visible.slice(0, 30).forEach((article, index) => {
             const articleElement = this.createNewsElement(article, index);
             container.appendChild(articleElement);
         });
+
+        if (hidden.length > 0) {
+            container.appendChild(this.rankingRules.createHiddenNote(
+                hidden, (article, index) => this.createNewsElement(article, index), visible.length
+            ));
+        }
     }
 
     createNewsElement(article, index) {
@@ -1041,10 +2933,10 @@ class SearchController {
         div.className = 'news-item';
         div.dataset.index = index;
 
-        const source = article.source || this.extractDomain(article.url);
-        const published = article.publishedFormatted || this.formatRelativeTime(article.publishedAt);
-        const image = article.image || article.thumbnail || '';
-        const aiSummary = article.aiSummary || '';
+        const source = article.source;
+        const published = article.publishedText || this.formatRelativeTime(article.publishedAt);
+        const image = article.image;
+        const aiSummary = article.aiSummary;
 
         div.innerHTML = `
             <div class="news-content">
@@ -1057,15 +2949,17 @@ class SearchController {
                     <div class="news-source">${source}</div>
                     <h3 class="news-title">
                         <a href="${article.url}" target="_blank" rel="noopener noreferrer">
-                            ${article.title || 'No title'}
+                            ${article.title}
                         </a>
                     </h3>
                     ${aiSummary ? `<div class="news-ai-summary">🤖 ${aiSummary}</div>` : ''}
-                    <p class="news-description">${article.description || article.snippet || ''}</p>
+                    <p class="news-description">${article.description}</p>
                     <div class="news-meta">
                         ${published ? `<span class="news-date"><i class="far fa-calendar"></i> ${published}</span>` : ''}
                         ${article.author ? `<span class="news-author"><i class="fas fa-user-edit"></i> ${article.author}</span>` : ''}
+                        ${this.rankingRules.renderButton(Utils.extractDomain(article.url))}
                     </div>
+                    ${this.renderSourceUrls(article)}
                 </div>
             </div>
         `;
@@ -1073,35 +2967,327 @@ class SearchController {
         return div;
     }
 
+    /**
+     * Blended page: web results with top stories, images, videos and news
+     * placed between them
+     */
     displayComprehensiveResults(response) {
-        // Simple implementation for comprehensive results
-        if (response.results && response.results.web) {
-            this.displayWebResults(response.results.web);
+        const container = this.elements.resultsContainer;
+        const { images } = response.sections;
+        const { visible: web, hidden } = this.rankingRules.apply(response.sections.web);
+        const videos = this.rankingRules.apply(response.sections.videos).visible;
+        const news = this.rankingRules.apply(response.sections.news).visible;
+        container.innerHTML = '';
+
+        if (web.length + hidden.length + images.length + videos.length + news.length === 0) {
+            this.showEmptyState('No results found');
+            return;
+        }
+
+        // Each block follows this many web results
+        const blocks = [
+            { after: 0, element: this.createTopStoriesBlock(news.slice(0, 5)) },
+            { after: 3, element: this.createImageStrip(images.slice(0, 8)) },
+            { after: 6, element: this.createVideoRow(videos.slice(0, 4)) },
+            { after: 9, element: this.createNewsBlock(news.slice(5, 8)) }
+        ].filter(block => block.element);
+
+        web.forEach((result, index) => {
+            blocks.filter(block => block.after === index).forEach(block => container.appendChild(block.element));
+            container.appendChild(this.createResultElement(result, index));
+        });
+
+        // Blocks past the end of a short web list go at the bottom
+        blocks.filter(block => block.after >= web.length).forEach(block => container.appendChild(block.element));
+
+        if (hidden.length > 0) {
+            container.appendChild(this.rankingRules.createHiddenNote(
+                hidden, (result, index) => this.createResultElement(result, index), web.length
+            ));
+        }
+    }
+
+    /**
+     * Wrapper for a blended block with a "more" link to its own category
+     */
+    createBlendedBlock(category, title, icon, content) {
+        const block = document.createElement('section');
+        block.className = `blended-block blended-${category}`;
+        block.innerHTML = `
+            <div class="blended-header">
+                <h3><i class="fas ${icon}"></i> ${title}</h3>
+                <a href="#" class="blended-more" data-category="${category}">More ${category} <i class="fas fa-arrow-right"></i></a>
+            </div>
+        `;
+
+        if (typeof content === 'string') {
+            block.insertAdjacentHTML('beforeend', content);
+        } else {
+            block.appendChild(content);
+        }
+
+        block.querySelector('.blended-more').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.switchCategory(category);
+            this.performSearch(this.currentQuery);
+        });
+
+        return block;
+    }
+
+    createTopStoriesBlock(stories) {
+        if (stories.length === 0) return null;
+
+        const slides = stories.map(article => `
+            <a href="${article.url}" target="_blank" rel="noopener noreferrer" class="top-story">
+                ${article.image ? `<img src="${article.image}" alt="" loading="lazy" onerror="this.style.display='none'">` : ''}
+                <div class="top-story-text">
+                    <span class="news-source">${Utils.sanitizeHTML(article.source)}</span>
+                    <h4>${Utils.sanitizeHTML(article.title)}</h4>
+                    <span class="top-story-date">${article.publishedText || this.formatRelativeTime(article.publishedAt)}</span>
+                </div>
+            </a>
+        `);
+
+        const carousel = window.ui.createCarousel('topStoriesCarousel', slides, {
+            controls: stories.length > 1,
+            indicators: stories.length > 1
+        });
+        return this.createBlendedBlock('news', 'Top stories', 'fa-newspaper', carousel);
+    }
+
+    createImageStrip(images) {
+        if (images.length === 0) return null;
+
+        return this.createBlendedBlock('images', 'Images', 'fa-image', `
+            <div class="image-results-grid">
+                ${images.map(image => `
+                    <a href="${image.url}" target="_blank" rel="noopener noreferrer" class="inline-image-item"
+                       title="${Utils.sanitizeHTML(image.title).replace(/"/g, '&quot;')}">
+                        <img src="${image.thumbnail}" alt="" loading="lazy" onerror="this.parentElement.style.display='none'">
+                    </a>
+                `).join('')}
+            </div>
+        `);
+    }
+
+    createVideoRow(videos) {
+        if (videos.length === 0) return null;
+
+        return this.createBlendedBlock('videos', 'Videos', 'fa-video', `
+            <div class="blended-video-row">
+                ${videos.map(video => {
+                    const duration = video.durationText || this.formatDuration(video.duration);
+                    return `
+                        <a href="${video.url}" target="_blank" rel="noopener noreferrer" class="blended-video">
+                            <div class="blended-video-thumbnail">
+                                ${video.thumbnail ? `<img src="${video.thumbnail}" alt="" loading="lazy" onerror="this.style.display='none'">` : ''}
+                                ${duration ? `<span class="video-duration">${duration}</span>` : ''}
+                            </div>
+                            <h4>${Utils.sanitizeHTML(this.truncateText(video.title, 70))}</h4>
+                            ${video.author ? `<span>${Utils.sanitizeHTML(video.author)}</span>` : ''}
+                        </a>
+                    `;
+                }).join('')}
+            </div>
+        `);
+    }
+
+    createNewsBlock(articles) {
+        if (articles.length === 0) return null;
+
+        const list = document.createElement('div');
+        list.className = 'blended-news';
+        articles.forEach((article, index) => list.appendChild(this.createNewsElement(article, index)));
+
+        return this.createBlendedBlock('news', 'More news', 'fa-newspaper', list);
+    }
+
+    displayWeather(weather) {
+        if (!weather) {
+            this.showEmptyState('No weather found for this place');
+            return;
+        }
+
+        this.weatherCard.render(this.elements.resultsContainer, weather);
+    }
+
+    displayGithubResults(results) {
+        const container = this.elements.resultsContainer;
+        container.innerHTML = '';
+        container.appendChild(this.createGithubFilters(results));
+
+        if (!results || results.length === 0) {
+            container.insertAdjacentHTML('beforeend', '<div class="empty-state">No repositories or code found</div>');
+            return;
+        }
+
+        results.forEach((result, index) => {
+            container.appendChild(result.type === 'code'
+                ? this.createCodeElement(result, index)
+                : this.createRepoElement(result, index));
+        });
+    }
+
+    /**
+     * Language and sort filters, sent to the worker with the next search
+     */
+    createGithubFilters(results = []) {
+        const languages = ['JavaScript', 'TypeScript', 'Python', 'Go', 'Rust', 'Java', 'C', 'C++', 'C#', 'Ruby', 'PHP', 'Swift', 'Kotlin', 'Shell'];
+        (results || []).forEach(result => {
+            if (result.language && !languages.includes(result.language)) languages.push(result.language);
+        });
+        if (this.githubFilters.language && !languages.includes(this.githubFilters.language)) {
+            languages.push(this.githubFilters.language);
+        }
+
+        const sorts = [
+            { value: '', label: 'Best match' },
+            { value: 'stars', label: 'Most stars' },
+            { value: 'updated', label: 'Recently updated' }
+        ];
+        const option = (value, label, selected) =>
+            `<option value="${Utils.sanitizeHTML(value)}" ${selected ? 'selected' : ''}>${Utils.sanitizeHTML(label)}</option>`;
+
+        const div = document.createElement('div');
+        div.className = 'github-filters';
+        div.innerHTML = `
+            <label>
+                <i class="fas fa-code"></i>
+                <select data-filter="language" aria-label="Language">
+                    ${option('', 'Any language', !this.githubFilters.language)}
+                    ${languages.map(language => option(language, language, language === this.githubFilters.language)).join('')}
+                </select>
+            </label>
+            <label>
+                <i class="fas fa-sort-amount-down"></i>
+                <select data-filter="sort" aria-label="Sort by">
+                    ${sorts.map(sort => option(sort.value, sort.label, sort.value === this.githubFilters.sort)).join('')}
+                </select>
+            </label>
+        `;
+
+        div.addEventListener('change', (e) => {
+            const select = e.target.closest('[data-filter]');
+            if (!select) return;
+
+            this.githubFilters[select.dataset.filter] = select.value;
+            this.performSearch(this.currentQuery);
+        });
+
+        return div;
+    }
+
+    createRepoElement(repo, index) {
+        const div = document.createElement('div');
+        div.className = 'result-item github-repo';
+        div.dataset.index = index;
+
+        div.innerHTML = `
+            <div class="result-content">
+                <h3 class="result-title">
+                    <a href="${repo.url}" target="_blank" rel="noopener noreferrer">
+                        <i class="fas fa-book"></i> ${Utils.sanitizeHTML(repo.title)}
+                    </a>
+                </h3>
+                ${repo.description ? `<p class="result-snippet">${Utils.sanitizeHTML(repo.description)}</p>` : ''}
+                <div class="github-meta">
+                    ${repo.language ? `<span class="github-language"><i class="fas fa-circle"></i> ${Utils.sanitizeHTML(repo.language)}</span>` : ''}
+                    ${repo.stars !== null ? `<span title="Stars"><i class="fas fa-star"></i> ${this.formatNumber(repo.stars)}</span>` : ''}
+                    ${repo.openIssues !== null ? `<span title="Open issues"><i class="fas fa-exclamation-circle"></i> ${this.formatNumber(repo.openIssues)} open issues</span>` : ''}
+                    ${repo.license ? `<span title="License"><i class="fas fa-balance-scale"></i> ${Utils.sanitizeHTML(repo.license)}</span>` : ''}
+                    ${repo.updatedAt ? `<span><i class="far fa-clock"></i> Updated ${this.formatRelativeTime(repo.updatedAt)}</span>` : ''}
+                </div>
+            </div>
+        `;
+
+        return div;
+    }
+
+    createCodeElement(code, index) {
+        const div = document.createElement('div');
+        div.className = 'result-item github-code';
+        div.dataset.index = index;
+
+        div.innerHTML = `
+            <div class="result-content">
+                <div class="result-header">
+                    <div class="result-source">
+                        <span class="result-domain"><i class="fab fa-github"></i> ${Utils.sanitizeHTML(code.repository)}</span>
+                        ${code.language ? `<span class="result-provider">${Utils.sanitizeHTML(code.language)}</span>` : ''}
+                    </div>
+                </div>
+                <h3 class="result-title">
+                    <a href="${code.url}" target="_blank" rel="noopener noreferrer">
+                        <i class="far fa-file-code"></i> ${Utils.sanitizeHTML(code.path || code.title)}
+                    </a>
+                </h3>
+                ${code.fragments.slice(0, 2).map(({ fragment, matches }) => `
+                    <pre class="github-snippet"><code>${this.highlightFragment(fragment, matches)}</code></pre>
+                `).join('')}
+            </div>
+        `;
+
+        return div;
+    }
+
+    /**
+     * Escape a code fragment and mark the matched ranges, falling back to
+     * the query terms when the worker sent no match offsets
+     */
+    highlightFragment(fragment, matches = []) {
+        if (matches.length === 0) {
+            const terms = this.currentQuery.split(/\s+/)
+                .filter(term => term.length > 1)
+                .map(term => Utils.escapeRegExp(term));
+            if (terms.length === 0) return Utils.sanitizeHTML(fragment);
+
+            // Match the raw text so terms can't land inside an entity; odd parts are matches
+            return fragment.split(new RegExp(`(${terms.join('|')})`, 'gi'))
+                .map((part, index) => index % 2 ? `<mark>${Utils.sanitizeHTML(part)}</mark>` : Utils.sanitizeHTML(part))
+                .join('');
         }
+
+        let html = '';
+        let position = 0;
+        [...matches].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            if (start < position || end <= start) return;
+            html += Utils.sanitizeHTML(fragment.slice(position, start));
+            html += `<mark>${Utils.sanitizeHTML(fragment.slice(start, end))}</mark>`;
+            position = end;
+        });
+
+        return html + Utils.sanitizeHTML(fragment.slice(position));
     }
 
     displayAISummaries(summaries) {
         const container = this.elements.resultsContainer;
         
         // Insert AI summaries at the top
-        Object.entries(summaries).forEach(([section, summary]) => {
-            if (summary && section !== 'overall') {
-                const summaryDiv = document.createElement('div');
-                summaryDiv.className = 'ai-section-summary';
-                summaryDiv.innerHTML = `
-                    <div class="ai-summary-header">
-                        <i class="fas fa-robot"></i>
-                        <h4>AI Summary: ${section.charAt(0).toUpperCase() + section.slice(1)}</h4>
-                    </div>
-                    <div class="ai-summary-content">${summary}</div>
-                `;
-                
-                // Insert at the beginning of the container
-                if (container.firstChild) {
-                    container.insertBefore(summaryDiv, container.firstChild);
-                } else {
-                    container.appendChild(summaryDiv);
+        summaries.forEach(({ section, text }) => {
+            const summaryDiv = document.createElement('div');
+            summaryDiv.className = 'ai-section-summary';
+            summaryDiv.innerHTML = `
+                <div class="ai-summary-header">
+                    <i class="fas fa-robot"></i>
+                    <h4>AI Summary: ${section.charAt(0).toUpperCase() + section.slice(1)}</h4>
+                </div>
+                <div class="ai-summary-content">${this.summaryPanel.formatText(text, new Map())}</div>
+            `;
+
+            summaryDiv.addEventListener('click', (e) => {
+                const citation = e.target.closest('.citation');
+                if (citation) {
+                    e.preventDefault();
+                    this.summaryPanel.focusCitation(parseInt(citation.dataset.cite, 10), new Map());
                 }
+            });
+            
+            // Insert at the beginning of the container
+            if (container.firstChild) {
+                container.insertBefore(summaryDiv, container.firstChild);
+            } else {
+                container.appendChild(summaryDiv);
             }
         });
     }
@@ -1109,17 +3295,34 @@ class SearchController {
     updateSearchStats(response) {
         if (!this.elements.resultsStats) return;
 
-        const stats = response.stats || {};
-        const total = stats.total || (Array.isArray(response.results) ? response.results.length : 
-                                   (response.results && typeof response.results === 'object' ? 
-                                    Object.values(response.results).flat().length : 0));
+        const { total, aiEnabled } = response.stats;
         
         const time = response.timestamp ? this.formatRelativeTime(response.timestamp) : 'Just now';
         const source = response.proxy ? ' (Proxy)' : response.local ? ' (Local)' : '';
+        const summary = response.weather ? 'Weather forecast' : `${this.formatNumber(total)} results`;
 
         this.elements.resultsStats.innerHTML = `
-            ${this.formatNumber(total)} results${source} · ${time}
-            ${stats.aiEnabled ? ' · 🤖 AI' : ''}
+            ${summary}${source} · ${time}
+            ${aiEnabled ? ' · 🤖 AI' : ''}
+            ${response.streaming ? ' · <span class="stream-live"><i class="fas fa-circle"></i> Receiving results…</span>' : ''}
+            ${this.getCachedLabel(response)}
+        `;
+    }
+
+    getCachedLabel(response) {
+        const offline = response.offline;
+        const cachedAt = offline ? offline.cachedAt : response.cachedAt;
+        if (!offline && !cachedAt) return '';
+
+        const date = cachedAt ? Utils.formatTimestamp(cachedAt) : 'an earlier search';
+        const match = offline && offline.fuzzy
+            ? ` for "${Utils.sanitizeHTML(offline.query)}"`
+            : '';
+
+        return `
+            · <span class="cached-label ${offline ? 'offline' : ''}">
+                <i class="fas fa-history"></i> cached from ${date}${match}
+            </span>
         `;
     }
 
@@ -1190,6 +3393,14 @@ class SearchController {
 document.addEventListener('DOMContentLoaded', () => {
     window.searchController = new SearchController();
     
+    // The settings modal in index.html clears the result cache through window.searchService
+    window.searchService = window.searchController;
+
+    // Hook used by the settings modal to push saved settings into the controller
+    window.applySearchSettings = (settings) => {
+        window.searchController.applySettings(settings);
+    };
+
     // Export for global use
     window.performSearch = (query, options = {}) => {
         if (query) {
@@ -0,0 +1,278 @@
+// Result Streaming - incremental NDJSON / Server-Sent Events worker responses
+//
+// Each NDJSON line, or the data of each SSE event, is a JSON message:
+//   { "provider": "bing", "results": [...] }      a batch from one provider
+//   { "provider": "bing", "result": {...} }        a single result
+//   { "section": "images", "results": [...] }      a batch for one /all section
+//   { "aiSummaries": {...} }, { "stats": {...} }   metadata, merged as it arrives
+//   { "weather": {...} }                           a /weather forecast, replaces the last one
+//   { "related": [...] }, { "correction": {...} }  related queries and spelling suggestions
+//   { "sources": ["bing", ...] }                   sources the worker is querying (/massive)
+//   { "provider": "bing", "status": "done" }       a source finished ("failed" if it gave up)
+//   { "error": "..." }                             the worker gave up
+//   { "done": true }                               end of stream (or SSE "event: done")
+
+class ResultStream {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+        this.category = ResultNormalizer.getEndpointCategory(endpoint);
+        this.sections = {};
+        this.seen = new Map();
+        this.providers = new Map();
+        this.sources = new Map();
+        this.aiSummaries = {};
+        this.stats = {};
+        this.pagination = null;
+        this.weather = null;
+        this.related = null;
+        this.correction = null;
+        this.error = null;
+        this.done = false;
+        this.messages = 0;
+    }
+
+    /**
+     * Whether a response should be read as a stream
+     */
+    static isStream(contentType) {
+        return /application\/(x-)?ndjson|application\/jsonl|text\/event-stream/i.test(contentType || '');
+    }
+
+    /**
+     * Read the response body to the end.
+     * onUpdate runs after every message that changed the results,
+     * onActivity after every received chunk (used as an idle timer).
+     */
+    async read(response, { onUpdate = null, onActivity = null } = {}) {
+        const isEventStream = /text\/event-stream/i.test(response.headers.get('Content-Type') || '');
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (!this.done) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            if (onActivity) onActivity();
+            buffer += decoder.decode(value, { stream: true });
+
+            const separator = isEventStream ? /\r?\n\r?\n/ : /\r?\n/;
+            const parts = buffer.split(separator);
+            buffer = parts.pop();
+
+            const changed = parts
+                .map(part => isEventStream ? this.parseEvent(part) : this.parseLine(part))
+                .some(Boolean);
+
+            if (changed && onUpdate) onUpdate();
+        }
+
+        // Whatever is left after the connection closed
+        buffer += decoder.decode();
+        if (buffer.trim() && !this.done) {
+            const changed = isEventStream ? this.parseEvent(buffer) : this.parseLine(buffer);
+            if (changed && onUpdate) onUpdate();
+        }
+
+        if (this.done) {
+            reader.cancel().catch(() => {});
+        }
+    }
+
+    parseLine(line) {
+        if (!line.trim()) return false;
+        return this.handleMessage(this.parseJSON(line));
+    }
+
+    /**
+     * Split one SSE event block into its name and data
+     * @returns {{event: string, data: string|null}}
+     */
+    static parseEventBlock(block) {
+        let event = 'message';
+        const data = [];
+
+        block.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data.push(line.slice(5).replace(/^ /, ''));
+            }
+        });
+
+        return { event, data: data.length > 0 ? data.join('\n') : null };
+    }
+
+    parseEvent(block) {
+        const { event, data } = ResultStream.parseEventBlock(block);
+
+        if (event === 'done') {
+            this.done = true;
+        }
+        if (data === null) return false;
+
+        return this.handleMessage(this.parseJSON(data));
+    }
+
+    parseJSON(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new ResponseNormalizationError(this.endpoint, 'stream contained invalid JSON', `message ${this.messages + 1}`);
+        }
+    }
+
+    /**
+     * Merge one message; returns true when the visible results changed
+     */
+    handleMessage(message) {
+        this.messages++;
+        if (!Utils.isObject(message)) return false;
+
+        if (typeof message.error === 'string') {
+            this.error = message.error;
+        }
+        if (message.done === true) {
+            this.done = true;
+        }
+        if (Utils.isObject(message.stats)) {
+            Object.assign(this.stats, message.stats);
+        }
+        if (Utils.isObject(message.aiSummaries)) {
+            Object.assign(this.aiSummaries, message.aiSummaries);
+        }
+        if (Utils.isObject(message.pagination)) {
+            this.pagination = message.pagination;
+        }
+        if (Utils.isObject(message.weather)) {
+            this.weather = message.weather;
+        }
+        if (Array.isArray(message.related)) {
+            this.related = message.related;
+        }
+        if (message.correction) {
+            this.correction = message.correction;
+        }
+
+        const sourcesChanged = this.updateSources(message);
+
+        const items = Array.isArray(message.results) ? message.results
+            : Utils.isObject(message.result) ? [message.result]
+            : [];
+        if (items.length === 0) return Boolean(message.stats || message.aiSummaries || message.weather || sourcesChanged);
+
+        const section = this.category === 'all' ? message.section || 'web' : this.category;
+        const provider = typeof message.provider === 'string' ? message.provider : '';
+
+        items.forEach(item => this.addItem(section, provider, item));
+        return true;
+    }
+
+    /**
+     * Track which sources were asked and which have answered;
+     * returns true when a source's status changed
+     */
+    updateSources(message) {
+        let changed = false;
+
+        if (Array.isArray(message.sources)) {
+            message.sources.filter(name => typeof name === 'string' && name).forEach(name => {
+                if (!this.sources.has(name)) {
+                    this.sources.set(name, 'pending');
+                    changed = true;
+                }
+            });
+        }
+
+        if (typeof message.provider === 'string' && message.provider) {
+            const current = this.sources.get(message.provider);
+            const status = ['done', 'failed'].includes(message.status) ? message.status
+                : current === 'done' || current === 'failed' ? current
+                : 'receiving';
+
+            if (status !== current) {
+                this.sources.set(message.provider, status);
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Add a result, merging it into an earlier one for the same URL
+     */
+    addItem(section, provider, item) {
+        if (!Utils.isObject(item)) return;
+
+        const itemProvider = item.provider || item.source || provider;
+        if (itemProvider) {
+            this.providers.set(itemProvider, (this.providers.get(itemProvider) || 0) + 1);
+        }
+
+        const url = item.url || item.link || item.image || item.imageUrl;
+        // Same key as ResultNormalizer.mergeDuplicates uses for the final results
+        const key = typeof url === 'string' ? `${section}|${Utils.canonicalizeUrl(url.trim())}` : null;
+        const existing = key ? this.seen.get(key) : null;
+
+        if (existing) {
+            // Same page from another provider: keep the first copy, note both providers
+            const sources = String(existing.source || '').split(', ').filter(Boolean);
+            if (itemProvider && !sources.includes(itemProvider)) {
+                existing.source = [...sources, itemProvider].join(', ');
+            }
+            return;
+        }
+
+        const entry = { ...item, source: itemProvider };
+        if (key) this.seen.set(key, entry);
+
+        if (!this.sections[section]) this.sections[section] = [];
+        this.sections[section].push(entry);
+    }
+
+    buildPayload() {
+        const payload = {
+            results: this.category === 'all' ? { ...this.sections } : (this.sections[this.category] || []),
+            aiSummaries: this.aiSummaries,
+            stats: this.stats
+        };
+
+        if (this.pagination) payload.pagination = this.pagination;
+        if (this.weather) payload.weather = this.weather;
+        if (this.related) payload.related = this.related;
+        if (this.correction) payload.correction = this.correction;
+        if (this.error) payload.error = this.error;
+
+        return payload;
+    }
+
+    /**
+     * Normalized view of everything received so far
+     * @returns {NormalizedResponse}
+     */
+    snapshot() {
+        const response = ResultNormalizer.normalize(this.endpoint, this.buildPayload());
+        response.streaming = {
+            done: this.done,
+            providers: [...this.providers.entries()].map(([name, count]) => ({ name, count })),
+            sources: [...this.sources.entries()].map(([name, status]) => ({ name, status }))
+        };
+        return response;
+    }
+
+    /**
+     * Final response once the stream has ended
+     * @returns {NormalizedResponse}
+     */
+    finish() {
+        if (this.messages === 0) {
+            throw new ResponseNormalizationError(this.endpoint, 'stream ended without any messages');
+        }
+
+        return ResultNormalizer.normalize(this.endpoint, this.buildPayload());
+    }
+}
+
+// Export for global use
+window.ResultStream = ResultStream;
@@ -0,0 +1,370 @@
+// AI Summary Panel - token-streamed summaries with citations
+//
+// The worker's /summarize endpoint answers with Server-Sent Events:
+//   data: {"token": "..."}                       next piece of text
+//   data: {"citations": [{"index": 1, "url": "..."}]}  optional source list
+//   data: {"error": "..."}                       the summary failed
+//   event: done                                  end of the summary
+// Workers without it get the summaries /search bundles with ai=true instead.
+
+class SummaryPanel {
+    constructor(controller) {
+        this.controller = controller;
+        this.element = null;
+        this.abortController = null;
+        this.key = null;
+        this.text = '';
+        this.citations = new Map();
+        this.status = 'idle';
+        this.error = null;
+    }
+
+    /**
+     * Show the summary for the current results, streaming a new one only
+     * when the search changed. A re-render keeps a summary in progress.
+     */
+    show(container, query, page, signal = null) {
+        const key = `${query}|${page}`;
+
+        if (this.key === key && this.element) {
+            container.insertBefore(this.element, container.firstChild);
+            // Citations point at the freshly rendered cards
+            this.render();
+            return;
+        }
+
+        this.stop();
+        this.key = key;
+        this.query = query;
+        this.page = page;
+        this.element = this.createElement();
+        container.insertBefore(this.element, container.firstChild);
+
+        // The summary belongs to its search and ends with it
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                if (this.key === key) this.reset();
+            }, { once: true });
+        }
+
+        this.start();
+    }
+
+    createElement() {
+        const element = document.createElement('div');
+        element.className = 'ai-section-summary ai-stream-summary';
+        element.innerHTML = `
+            <div class="ai-summary-header">
+                <i class="fas fa-robot"></i>
+                <h4>AI Summary</h4>
+                <div class="ai-summary-actions">
+                    <button class="btn-secondary" data-action="stop" title="Stop generating">
+                        <i class="fas fa-stop"></i> Stop
+                    </button>
+                    <button class="btn-secondary" data-action="regenerate" title="Write a new summary">
+                        <i class="fas fa-redo"></i> Regenerate
+                    </button>
+                </div>
+            </div>
+            <div class="ai-summary-content"></div>
+            <div class="ai-summary-status"></div>
+        `;
+
+        element.addEventListener('click', (e) => this.handleClick(e));
+        return element;
+    }
+
+    handleClick(e) {
+        const citation = e.target.closest('.citation');
+        if (citation) {
+            e.preventDefault();
+            this.focusCitation(parseInt(citation.dataset.cite, 10));
+            return;
+        }
+
+        const action = e.target.closest('[data-action]');
+        if (!action) return;
+
+        if (action.dataset.action === 'stop') {
+            this.stop();
+        } else if (action.dataset.action === 'regenerate') {
+            this.start(true);
+        }
+    }
+
+    /**
+     * Stream a summary from the first worker that can provide one
+     */
+    async start(regenerate = false) {
+        this.stop();
+
+        const key = this.key;
+        const controller = new AbortController();
+        this.abortController = controller;
+        this.text = '';
+        this.citations = new Map();
+        this.error = null;
+        this.setStatus('streaming');
+
+        const params = new URLSearchParams({
+            q: this.query,
+            page: this.page,
+            safe: this.controller.config.safeSearch,
+            lang: this.controller.config.language
+        });
+        if (regenerate) {
+            params.append('regenerate', Date.now());
+        }
+
+        let lastError = null;
+        for (const worker of this.controller.getRoutedWorkers()) {
+            if (controller.signal.aborted) return;
+
+            try {
+                await this.streamFrom(worker, params, controller.signal);
+                // A worker that can't summarize says so before writing anything
+                if (this.error && !this.text) {
+                    lastError = new Error(this.error);
+                    this.error = null;
+                    break;
+                }
+                if (this.key === key && this.abortController === controller) {
+                    this.abortController = null;
+                    this.setStatus(this.error ? 'error' : 'done');
+                }
+                return;
+            } catch (error) {
+                if (controller.signal.aborted) return;
+                lastError = error;
+                // Only try another worker if this one produced nothing
+                if (this.text) break;
+            }
+        }
+
+        if (this.key !== key || this.abortController !== controller) return;
+
+        // Workers without /summarize still bundle summaries with /search
+        if (!this.text && await this.loadBundled(controller.signal)) {
+            if (this.key === key && this.abortController === controller) {
+                this.abortController = null;
+                this.setStatus('done');
+            }
+            return;
+        }
+
+        if (this.key === key && this.abortController === controller) {
+            this.abortController = null;
+            this.error = lastError ? lastError.message : 'No search workers are enabled';
+            this.setStatus('error');
+        }
+    }
+
+    /**
+     * Fall back to the summaries /search sends with ai=true; returns
+     * whether there was one to show
+     */
+    async loadBundled(signal) {
+        const params = new URLSearchParams({
+            q: this.query,
+            page: this.page,
+            safe: this.controller.config.safeSearch,
+            lang: this.controller.config.language,
+            ai: 'true'
+        });
+
+        try {
+            const response = await this.controller.fetchWithFallback('/search', params, signal);
+            if (signal.aborted || response.aiSummaries.length === 0) return false;
+
+            this.text = response.aiSummaries.map(summary => summary.text).join('\n\n');
+            return true;
+        } catch (error) {
+            if (!signal.aborted) console.warn('Bundled summary fallback failed:', error.message);
+            return false;
+        }
+    }
+
+    async streamFrom(worker, params, signal) {
+        // Stopping aborts the attempt; a stalled worker only times out its own attempt
+        const attempt = new AbortController();
+        const onStop = () => attempt.abort();
+        signal.addEventListener('abort', onStop, { once: true });
+
+        const timeout = this.controller.config.requestTimeout;
+        let timedOut = false;
+        const onTimeout = () => {
+            timedOut = true;
+            attempt.abort();
+        };
+        let timeoutId = setTimeout(onTimeout, timeout);
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(onTimeout, timeout);
+        };
+
+        try {
+            const response = await fetch(`${worker}/summarize?${params.toString()}`, {
+                signal: attempt.signal,
+                mode: 'cors',
+                headers: { 'Accept': 'text/event-stream' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            if (!/text\/event-stream/i.test(response.headers.get('Content-Type') || '') || !response.body) {
+                throw new Error('Worker did not stream a summary');
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                resetTimeout();
+                buffer += decoder.decode(value, { stream: true });
+
+                const blocks = buffer.split(/\r?\n\r?\n/);
+                buffer = blocks.pop();
+
+                for (const block of blocks) {
+                    if (this.handleEvent(ResultStream.parseEventBlock(block))) {
+                        reader.cancel().catch(() => {});
+                        return;
+                    }
+                }
+                this.render();
+            }
+        } catch (error) {
+            throw timedOut ? new Error('The worker stopped responding') : error;
+        } finally {
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', onStop);
+        }
+    }
+
+    /**
+     * Apply one event; returns true once the summary is complete
+     */
+    handleEvent({ event, data }) {
+        if (event === 'done') return true;
+        if (data === null) return false;
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            // Plain-text events carry the token itself
+            message = { token: data };
+        }
+
+        if (typeof message.token === 'string') {
+            this.text += message.token;
+        }
+        if (Array.isArray(message.citations)) {
+            message.citations.forEach(citation => {
+                if (citation && Number.isInteger(citation.index) && typeof citation.url === 'string') {
+                    this.citations.set(citation.index, citation.url);
+                }
+            });
+        }
+        if (typeof message.error === 'string') {
+            this.error = message.error;
+            return true;
+        }
+
+        return message.done === true;
+    }
+
+    stop() {
+        if (!this.abortController) return;
+
+        this.abortController.abort();
+        this.abortController = null;
+        this.setStatus('stopped');
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.render();
+    }
+
+    render() {
+        if (!this.element) return;
+
+        const streaming = this.status === 'streaming';
+        this.element.classList.toggle('streaming', streaming);
+        this.element.querySelector('[data-action="stop"]').classList.toggle('hidden', !streaming);
+
+        this.element.querySelector('.ai-summary-content').innerHTML =
+            `${this.formatText(this.text)}${streaming ? '<span class="ai-summary-cursor"></span>' : ''}`;
+
+        const messages = {
+            streaming: this.text ? '' : 'Writing summary...',
+            stopped: 'Stopped.',
+            error: `Summary unavailable: ${Utils.sanitizeHTML(this.error || 'unknown error')}`,
+            done: '',
+            idle: ''
+        };
+        this.element.querySelector('.ai-summary-status').innerHTML = messages[this.status] || '';
+    }
+
+    /**
+     * Escape the summary and turn [n] markers into links to result cards
+     */
+    formatText(text, citations = this.citations) {
+        return Utils.sanitizeHTML(text).replace(/\[(\d+)\]/g, (marker, number) => {
+            const card = this.findCitedCard(parseInt(number, 10), citations);
+            if (!card) return marker;
+
+            const title = card.querySelector('.result-title a');
+            return `<a href="#" class="citation" data-cite="${number}"
+                       title="${Utils.sanitizeHTML(title ? title.textContent.trim() : '').replace(/"/g, '&quot;')}">[${number}]</a>`;
+        });
+    }
+
+    /**
+     * The result card a citation points to: by URL when the worker sent a
+     * source list, otherwise the nth result in the worker's order
+     */
+    findCitedCard(number, citations = this.citations) {
+        const container = this.controller.elements.resultsContainer;
+        const response = this.controller.currentResponse;
+        const nth = response && response.results ? response.results[number - 1] : null;
+        const url = citations.get(number) || (nth ? nth.url : null);
+
+        if (url) {
+            const link = [...container.querySelectorAll('.result-item .result-title a')]
+                .find(a => a.getAttribute('href') === url);
+            return link ? link.closest('.result-item') : null;
+        }
+
+        return container.querySelector(`.result-item[data-index="${number - 1}"]`);
+    }
+
+    focusCitation(number, citations = this.citations) {
+        const card = this.findCitedCard(number, citations);
+        if (!card) return;
+
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('cited');
+        setTimeout(() => card.classList.remove('cited'), 2000);
+    }
+
+    /**
+     * Forget the current summary, e.g. when leaving the web results
+     */
+    reset() {
+        this.stop();
+        if (this.element) this.element.remove();
+        this.element = null;
+        this.key = null;
+        this.status = 'idle';
+    }
+}
+
+// Export for global use
+window.SummaryPanel = SummaryPanel;
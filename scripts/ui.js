@@ -361,6 +361,7 @@ class UIManager {
             { key: 'o', description: 'Open selected result' },
             { key: 's', description: 'Share selected result' },
             { key: 't', description: 'Open in new tab' },
+            { key: 'n / p', description: 'Next / previous results page' },
             { key: '?', description: 'Show help' },
             { key: 'Ctrl+, / Cmd+,', description: 'Open settings' }
         ];
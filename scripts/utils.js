@@ -412,24 +412,69 @@ class Utils {
     }
 
     /**
-     * Remove duplicates from array
+     * Remove duplicates from array. key is a property name or a function
+     * of the item; merge(kept, duplicate) is called for each dropped item.
      */
-    static removeDuplicates(array, key) {
+    static removeDuplicates(array, key, merge = null) {
         if (!key) {
             return [...new Set(array)];
         }
         
-        const seen = new Set();
+        const getKey = typeof key === 'function' ? key : item => item[key];
+        const seen = new Map();
         return array.filter(item => {
-            const keyValue = item[key];
+            const keyValue = getKey(item);
             if (seen.has(keyValue)) {
+                if (merge) merge(seen.get(keyValue), item);
                 return false;
             }
-            seen.add(keyValue);
+            seen.set(keyValue, item);
             return true;
         });
     }
 
+    /**
+     * Tracking parameters that don't change which page a URL points to
+     */
+    static getTrackingParams() {
+        return [
+            /^utm_/, /^mc_[ce]id$/, /^_h(stc|ssc|sfp)$/, /^oly_(anon|enc)_id$/,
+            'gclid', 'gclsrc', 'dclid', 'fbclid', 'msclkid', 'yclid', 'igshid', 'twclid',
+            '_ga', '_gl', 'mkt_tok', 'ref_src', 'ref_url', 'vero_id', 'wt_mc', 's_cid', 'cmpid'
+        ];
+    }
+
+    /**
+     * Key that is the same for URLs of the same page: no fragment, no
+     * tracking parameters, no www./m. host prefix, no trailing slash and
+     * the same scheme. Meant for comparing URLs, not for linking to them.
+     */
+    static canonicalizeUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return url;
+        }
+
+        const tracking = this.getTrackingParams();
+        const params = [...parsed.searchParams.entries()]
+            .filter(([name]) => !tracking.some(pattern =>
+                typeof pattern === 'string' ? pattern === name.toLowerCase() : pattern.test(name.toLowerCase())
+            ))
+            .sort(([a], [b]) => a.localeCompare(b));
+
+        let host = parsed.hostname;
+        const bare = host.replace(/^(www|m|mobile)\./, '');
+        if (bare.includes('.')) host = bare;
+
+        const port = parsed.port ? `:${parsed.port}` : '';
+        const path = parsed.pathname.replace(/\/+$/, '');
+        const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+        return `${host}${port}${path}${query}`;
+    }
+
     /**
      * Sort array by key
      */
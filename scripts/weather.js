@@ -0,0 +1,152 @@
+// Weather Card - current conditions and forecasts for the weather category
+
+class WeatherCard {
+    constructor(controller) {
+        this.controller = controller;
+        this.weather = null;
+        this.container = null;
+    }
+
+    /**
+     * °F for the United States, °C elsewhere, unless the user picked a unit
+     */
+    getUnit() {
+        const { temperatureUnit, region } = this.controller.config;
+        if (temperatureUnit === 'C' || temperatureUnit === 'F') return temperatureUnit;
+        return region === 'us' ? 'F' : 'C';
+    }
+
+    setUnit(unit) {
+        this.controller.config.temperatureUnit = unit;
+        this.controller.saveConfig();
+        this.render(this.container, this.weather);
+    }
+
+    render(container, weather) {
+        this.container = container;
+        this.weather = weather;
+        if (!container || !weather) return;
+
+        const { location, current, hourly, daily } = weather;
+        const unit = this.getUnit();
+        const place = [location.name, location.region, location.country].filter(Boolean).join(', ');
+
+        container.innerHTML = `
+            <div class="weather-card">
+                <div class="weather-header">
+                    <form class="weather-search">
+                        <i class="fas fa-map-marker-alt"></i>
+                        <input type="text" name="location" placeholder="Search a city or place"
+                               value="${Utils.sanitizeHTML(place || this.controller.currentQuery).replace(/"/g, '&quot;')}"
+                               aria-label="Weather location">
+                        <button type="submit" class="btn-secondary">Search</button>
+                    </form>
+                    <div class="weather-units" role="group" aria-label="Temperature unit">
+                        ${['C', 'F'].map(option => `
+                            <button type="button" class="weather-unit ${option === unit ? 'active' : ''}" data-unit="${option}">°${option}</button>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <div class="weather-current">
+                    <i class="fas ${this.getIcon(current.condition, current.isDay)} weather-icon"></i>
+                    <div class="weather-temperature">${this.formatTemperature(current.temperature)}</div>
+                    <div class="weather-details">
+                        <h3>${Utils.sanitizeHTML(place || 'Current weather')}</h3>
+                        <p>${Utils.sanitizeHTML(current.condition)}</p>
+                        <ul>
+                            ${current.feelsLike !== null ? `<li>Feels like ${this.formatTemperature(current.feelsLike)}</li>` : ''}
+                            ${current.humidity !== null ? `<li><i class="fas fa-tint"></i> ${Math.round(current.humidity)}%</li>` : ''}
+                            ${current.windSpeed !== null ? `<li><i class="fas fa-wind"></i> ${this.formatWind(current.windSpeed)}</li>` : ''}
+                        </ul>
+                    </div>
+                </div>
+
+                ${hourly.length > 0 ? `
+                    <h4 class="weather-section-title">Hourly</h4>
+                    <div class="weather-hourly">
+                        ${hourly.slice(0, 24).map(hour => `
+                            <div class="weather-hour">
+                                <span>${this.formatTime(hour.time, { hour: 'numeric' })}</span>
+                                <i class="fas ${this.getIcon(hour.condition, hour.isDay)}" title="${Utils.sanitizeHTML(hour.condition)}"></i>
+                                <strong>${this.formatTemperature(hour.temperature)}</strong>
+                                ${hour.precipitationChance ? `<small><i class="fas fa-tint"></i> ${Math.round(hour.precipitationChance)}%</small>` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                ${daily.length > 0 ? `
+                    <h4 class="weather-section-title">Daily</h4>
+                    <div class="weather-daily">
+                        ${daily.slice(0, 10).map(day => `
+                            <div class="weather-day">
+                                <span class="weather-day-name">${this.formatTime(day.time, { weekday: 'short' })}</span>
+                                <i class="fas ${this.getIcon(day.condition, true)}"></i>
+                                <span class="weather-day-condition">${Utils.sanitizeHTML(day.condition)}</span>
+                                ${day.precipitationChance ? `<small><i class="fas fa-tint"></i> ${Math.round(day.precipitationChance)}%</small>` : '<small></small>'}
+                                <span class="weather-day-range">
+                                    <strong>${this.formatTemperature(day.high)}</strong>
+                                    ${this.formatTemperature(day.low)}
+                                </span>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        this.bindEvents(container);
+    }
+
+    bindEvents(container) {
+        container.querySelector('.weather-search').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const location = e.target.elements.location.value.trim();
+            if (!location) return;
+
+            this.controller.elements.searchInput.value = location;
+            this.controller.performSearch(location);
+        });
+
+        container.querySelectorAll('.weather-unit').forEach(button => {
+            button.addEventListener('click', () => this.setUnit(button.dataset.unit));
+        });
+    }
+
+    formatTemperature(celsius) {
+        if (celsius === null) return '–';
+        const value = this.getUnit() === 'F' ? celsius * 9 / 5 + 32 : celsius;
+        return `${Math.round(value)}°`;
+    }
+
+    formatWind(kmh) {
+        return this.getUnit() === 'F'
+            ? `${Math.round(kmh / 1.609344)} mph`
+            : `${Math.round(kmh)} km/h`;
+    }
+
+    formatTime(time, options) {
+        if (!time) return '';
+        return new Date(time).toLocaleString(this.controller.config.language || undefined, options);
+    }
+
+    /**
+     * Font Awesome icon for a condition description
+     */
+    getIcon(condition, isDay = true) {
+        const text = (condition || '').toLowerCase();
+
+        if (/thunder|storm/.test(text)) return 'fa-bolt';
+        if (/snow|sleet|ice|hail/.test(text)) return 'fa-snowflake';
+        if (/rain|drizzle|shower/.test(text)) return 'fa-cloud-rain';
+        if (/fog|mist|haze|smoke/.test(text)) return 'fa-smog';
+        if (/wind/.test(text)) return 'fa-wind';
+        if (/partly|few clouds|scattered/.test(text)) return isDay ? 'fa-cloud-sun' : 'fa-cloud-moon';
+        if (/cloud|overcast/.test(text)) return 'fa-cloud';
+        return isDay ? 'fa-sun' : 'fa-moon';
+    }
+}
+
+// Export for global use
+window.WeatherCard = WeatherCard;
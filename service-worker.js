@@ -0,0 +1,236 @@
+const CACHE_NAME = "yoohoo-cache-v3"; // bump on every deploy
+const SEARCH_CACHE = "yoohoo-search-v1"; // saved worker responses for offline search
+const MAX_SEARCH_ENTRIES = 150;
+const FUZZY_THRESHOLD = 0.5;
+
+// Worker endpoints whose responses are kept for offline use
+const SEARCH_ENDPOINTS = ["/search", "/images", "/videos", "/news", "/all"];
+
+// Served from the site root so its scope covers the page, not just /scripts/
+const STATIC_ASSETS = [
+    "/",
+    "/index.html",
+    "/manifest.json",
+    "/styles/main.css",
+    "/styles/components.css",
+    "/styles/themes.css",
+    "/styles/responsive.css",
+    "/styles/search-results.css",
+    "/scripts/utils.js",
+    "/scripts/ui.js",
+    "/scripts/diagnostics.js",
+    "/scripts/normalize.js",
+    "/scripts/cache.js",
+    "/scripts/stream.js",
+    "/scripts/summary.js",
+    "/scripts/weather.js",
+    "/scripts/deep-search.js",
+    "/scripts/query.js",
+    "/scripts/bangs.js",
+    "/scripts/filters.js",
+    "/scripts/ranking.js",
+    "/scripts/search.js"
+];
+
+self.addEventListener("install", event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(STATIC_ASSETS))
+    );
+    self.skipWaiting();
+});
+
+self.addEventListener("activate", event => {
+    event.waitUntil(
+        caches.keys().then(keys =>
+            Promise.all(
+                keys.filter(k => k !== CACHE_NAME && k !== SEARCH_CACHE).map(k => caches.delete(k))
+            )
+        )
+    );
+    self.clients.claim();
+});
+
+self.addEventListener("fetch", event => {
+    const url = new URL(event.request.url);
+
+    // Search worker responses: network first, saved copy when offline
+    if (isSearchRequest(event.request, url)) {
+        event.respondWith(searchNetworkFirst(event, url));
+        return;
+    }
+
+    // 🚫 NEVER cache other worker/API requests
+    if (url.origin !== self.location.origin && (url.pathname.includes("/api") || url.searchParams.has("q"))) {
+        event.respondWith(fetch(event.request));
+        return;
+    }
+
+    // Deep links like /?q=... are the same page; answer them with the cached one
+    if (url.searchParams.has("q")) {
+        event.respondWith(
+            caches.match(event.request, { ignoreSearch: true }).then(cached => cached || fetch(event.request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(event.request).then(cached => {
+            return (
+                cached ||
+                fetch(event.request).then(res => {
+                    return caches.open(CACHE_NAME).then(cache => {
+                        cache.put(event.request, res.clone());
+                        return res;
+                    });
+                })
+            );
+        })
+    );
+});
+function isSearchRequest(request, url) {
+    return request.method === "GET" &&
+        url.origin !== self.location.origin &&
+        SEARCH_ENDPOINTS.includes(url.pathname) &&
+        url.searchParams.has("q");
+}
+
+async function searchNetworkFirst(event, url) {
+    try {
+        const response = await fetch(event.request);
+        // Hand the response over right away so streamed results render as they
+        // arrive; only plain JSON answers are saved, after the fact
+        if (response.ok && !isStreamResponse(response)) {
+            event.waitUntil(saveSearchResponse(url, response.clone()));
+        }
+        return response;
+    } catch (error) {
+        return offlineSearchResponse(url);
+    }
+}
+
+function isStreamResponse(response) {
+    const type = response.headers.get("Content-Type") || "";
+    return type.includes("application/x-ndjson") || type.includes("text/event-stream");
+}
+
+async function saveSearchResponse(url, response) {
+    try {
+        const body = await response.text();
+        const cache = await caches.open(SEARCH_CACHE);
+
+        await cache.put(url.href, new Response(body, {
+            headers: {
+                "Content-Type": "application/json",
+                "X-Cached-At": String(Date.now())
+            }
+        }));
+
+        // Keys come back in insertion order, oldest first
+        const keys = await cache.keys();
+        await Promise.all(
+            keys.slice(0, Math.max(0, keys.length - MAX_SEARCH_ENTRIES)).map(key => cache.delete(key))
+        );
+    } catch (error) {
+        console.warn("Failed to save search response:", error);
+    }
+}
+
+/**
+ * Answer a search from saved responses: an exact query match first,
+ * otherwise the closest saved query. Everything but the query (endpoint,
+ * page, safe search, filters, operators) has to match exactly.
+ */
+async function offlineSearchResponse(url) {
+    const query = normalizeQuery(url.searchParams.get("q"));
+    const options = searchOptions(url);
+    const cache = await caches.open(SEARCH_CACHE);
+    const keys = await cache.keys();
+
+    let best = null;
+    for (const request of keys) {
+        const saved = new URL(request.url);
+        if (saved.pathname !== url.pathname || searchOptions(saved) !== options) {
+            continue;
+        }
+
+        const savedQuery = normalizeQuery(saved.searchParams.get("q"));
+        const score = savedQuery === query ? 1 : querySimilarity(query, savedQuery);
+        if (score >= FUZZY_THRESHOLD && (!best || score > best.score)) {
+            best = { request, score, query: saved.searchParams.get("q") };
+        }
+        if (score === 1) break;
+    }
+
+    if (!best) {
+        return jsonResponse({
+            error: "You are offline and there are no saved results for this search",
+            offline: { cachedAt: null, query: url.searchParams.get("q"), fuzzy: false }
+        }, 503);
+    }
+
+    const cached = await cache.match(best.request);
+    const payload = await cached.json();
+    const offline = {
+        cachedAt: Number(cached.headers.get("X-Cached-At")) || null,
+        query: best.query,
+        fuzzy: best.score < 1
+    };
+
+    return jsonResponse(Array.isArray(payload) ? { results: payload, offline } : { ...payload, offline });
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { "Content-Type": "application/json" }
+    });
+}
+
+/**
+ * The parameters of a search other than q, in a comparable form
+ */
+function searchOptions(url) {
+    const params = new URLSearchParams(url.search);
+    params.delete("q");
+    if (!params.has("page")) params.set("page", "1");
+    params.sort();
+    return params.toString();
+}
+
+function normalizeQuery(query) {
+    return (query || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Share of words in the longer query that have a close match in the other,
+ * allowing small typos
+ */
+function querySimilarity(a, b) {
+    const wordsA = a.split(" ").filter(Boolean);
+    const wordsB = b.split(" ").filter(Boolean);
+    if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+    const matched = wordsA.filter(word =>
+        wordsB.some(other => editDistance(word, other) <= (Math.min(word.length, other.length) > 4 ? 2 : 1))
+    ).length;
+
+    return matched / Math.max(wordsA.length, wordsB.length);
+}
+
+function editDistance(a, b) {
+    if (Math.abs(a.length - b.length) > 2) return Infinity;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}